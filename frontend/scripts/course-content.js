@@ -0,0 +1,231 @@
+// Build-time side of the lesson pipeline. Each lesson is a Markdown file at
+// src/content/<phase>/<module>/<lesson>.md:
+//
+//   ---
+//   title: Hash Maps
+//   navTitle: Optional shorter title for the sidebar
+//   duration: 30 minutes
+//   exercise:            # description, hint, tests (expectedOutput may also go here)
+//     description: ...
+//   quiz:                # question, options, correctAnswer (index), explanation
+//     - question: ...
+//   ---
+//
+//   Lesson text...
+//
+//   ```js starter
+//   // the exercise's starterCode
+//   ```
+//
+//   ```text expected-output
+//   the exercise's expectedOutput
+//   ```
+//
+// src/content/course.yaml lists the phases and modules and the order of the
+// lessons in each; courseStructure is built from it and the lessons' titles.
+import { createHash } from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { normalizePath } from 'vite';
+import { parse as parseYaml } from 'yaml';
+import { buildCourseManifest, COURSE_MANIFEST_FILE } from '../src/content/courseManifest.js';
+import { formatContentErrors, validateContent } from '../src/content/validateContent.js';
+
+export const CONTENT_DIR = fileURLToPath(new URL('../src/content', import.meta.url));
+const ORDER_FILE = 'course.yaml';
+
+const STRUCTURE_ID = 'virtual:course-structure';
+const RESOLVED_STRUCTURE_ID = `\0${STRUCTURE_ID}`;
+
+const FRONTMATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const FENCE_OPEN = /^ {0,3}(`{3,}|~{3,})\s*(\S*)\s*(.*?)\s*$/;
+// Fenced blocks flagged with these words hold exercise fields, not lesson text
+const EXERCISE_BLOCKS = { starter: 'starterCode', 'expected-output': 'expectedOutput' };
+
+function isFenceClose(line, marker) {
+  const trimmed = line.trim();
+  return (
+    line.search(/\S/) <= 3 &&
+    trimmed.length >= marker.length &&
+    trimmed === marker[0].repeat(trimmed.length)
+  );
+}
+
+// Splits the exercise blocks out of a lesson body. Fences are tracked so a
+// block inside another code block is left alone.
+function extractExerciseBlocks(body, file) {
+  const kept = [];
+  const blocks = {};
+  let fence = null;
+
+  for (const line of body.split(/\r?\n/)) {
+    if (fence) {
+      if (isFenceClose(line, fence.marker)) {
+        if (fence.field) blocks[fence.field] = fence.lines.join('\n');
+        else kept.push(line);
+        fence = null;
+      } else if (fence.field) {
+        fence.lines.push(line);
+      } else {
+        kept.push(line);
+      }
+      continue;
+    }
+
+    const open = FENCE_OPEN.exec(line);
+    if (open) {
+      const field = EXERCISE_BLOCKS[open[3]] || null;
+      if (field && field in blocks) throw new Error(`${file}: more than one "${open[3]}" block`);
+      fence = { marker: open[1], field, lines: [] };
+      if (field) continue;
+    }
+    kept.push(line);
+  }
+
+  if (fence?.field) throw new Error(`${file}: unclosed "${fence.field}" block`);
+  return { content: `${kept.join('\n').trim()}\n`, blocks };
+}
+
+// Parses a lesson file into { navTitle, lesson }, where `lesson` is the
+// object getLesson resolves to. Throws on malformed frontmatter.
+function parseLesson(source, file) {
+  const match = FRONTMATTER.exec(source);
+  if (!match) throw new Error(`${file}: missing frontmatter`);
+
+  let meta;
+  try {
+    meta = parseYaml(match[1]) || {};
+  } catch (e) {
+    throw new Error(`${file}: invalid frontmatter: ${e.message}`);
+  }
+
+  const { navTitle, exercise, ...fields } = meta;
+  const { content, blocks } = extractExerciseBlocks(source.slice(match[0].length), file);
+  const lesson = { ...fields, content };
+  if (exercise || Object.keys(blocks).length) lesson.exercise = { ...exercise, ...blocks };
+  return { navTitle: navTitle || null, lesson };
+}
+
+export function compileLesson(source, file) {
+  return parseLesson(source, file).lesson;
+}
+
+function subdirectories(dir) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name);
+}
+
+// Reads every lesson and the ordering file. Returns { structure, lessons }:
+// `structure` is courseStructure and `lessons` maps 'phase/module/lesson' to
+// each compiled lesson, including any course.yaml doesn't list.
+export function readCourse(contentDir = CONTENT_DIR) {
+  const lessons = {};
+  const navTitles = {};
+  for (const phaseId of subdirectories(contentDir)) {
+    for (const moduleId of subdirectories(path.join(contentDir, phaseId))) {
+      const moduleDir = path.join(contentDir, phaseId, moduleId);
+      for (const name of fs.readdirSync(moduleDir)) {
+        if (!name.endsWith('.md')) continue;
+        const file = path.join(moduleDir, name);
+        const lessonPath = `${phaseId}/${moduleId}/${name.slice(0, -'.md'.length)}`;
+        const { navTitle, lesson } = parseLesson(fs.readFileSync(file, 'utf8'), file);
+        lessons[lessonPath] = lesson;
+        navTitles[lessonPath] = navTitle;
+      }
+    }
+  }
+
+  const orderFile = path.join(contentDir, ORDER_FILE);
+  const phases = parseYaml(fs.readFileSync(orderFile, 'utf8')) || [];
+  if (!Array.isArray(phases)) throw new Error(`${orderFile}: expected a list of phases`);
+
+  // Lessons without a file keep their id as a title; validateContent reports them
+  const structure = phases.map(({ modules = [], ...phase }) => ({
+    ...phase,
+    modules: modules.map(({ lessons: lessonIds = [], ...module }) => ({
+      ...module,
+      lessons: lessonIds.map((id) => {
+        const lessonPath = `${phase.id}/${module.id}/${id}`;
+        return { id, title: navTitles[lessonPath] || lessons[lessonPath]?.title || id };
+      }),
+    })),
+  }));
+
+  return { structure, lessons };
+}
+
+function hashLesson(lesson) {
+  return createHash('sha256').update(JSON.stringify(lesson)).digest('hex').slice(0, 16);
+}
+
+// The lesson list with a hash of each compiled lesson (see courseManifest.js)
+function courseManifestFor({ structure, lessons }) {
+  const hashes = Object.fromEntries(
+    Object.entries(lessons).map(([lessonPath, lesson]) => [lessonPath, hashLesson(lesson)])
+  );
+  return buildCourseManifest(structure, hashes);
+}
+
+// Compiles lesson .md imports to lesson objects and provides
+// `virtual:course-structure` (courseStructure and courseManifest). A build
+// also emits the manifest as course-manifest.json, which the update prompt
+// fetches from the deployed copy to show what a new version adds or changes.
+// Content errors fail a build and are logged as warnings by the dev server.
+export function courseContent({ contentDir = CONTENT_DIR } = {}) {
+  let isBuild = false;
+
+  // Module ids use forward slashes on every platform
+  const contentRoot = `${normalizePath(contentDir)}/`;
+  const isContentFile = (file) =>
+    file.startsWith(contentRoot) && (file.endsWith('.md') || file.endsWith(ORDER_FILE));
+
+  return {
+    name: 'course-content',
+    configResolved(config) {
+      isBuild = config.command === 'build';
+    },
+    buildStart() {
+      const { structure, lessons } = readCourse(contentDir);
+      const errors = validateContent(structure, lessons);
+      if (!errors.length) return;
+      if (isBuild) this.error(formatContentErrors(errors));
+      this.warn(formatContentErrors(errors));
+    },
+    resolveId(id) {
+      return id === STRUCTURE_ID ? RESOLVED_STRUCTURE_ID : null;
+    },
+    load(id) {
+      if (id !== RESOLVED_STRUCTURE_ID) return null;
+      const course = readCourse(contentDir);
+      return [
+        `export const courseStructure = ${JSON.stringify(course.structure)};`,
+        `export const courseManifest = ${JSON.stringify(courseManifestFor(course))};`,
+      ].join('\n');
+    },
+    generateBundle() {
+      if (!isBuild) return;
+      this.emitFile({
+        type: 'asset',
+        fileName: COURSE_MANIFEST_FILE,
+        source: JSON.stringify(courseManifestFor(readCourse(contentDir))),
+      });
+    },
+    transform(source, id) {
+      const [file] = id.split('?');
+      if (!file.endsWith('.md') || !file.startsWith(contentRoot)) return null;
+      return { code: `export default ${JSON.stringify(compileLesson(source, file))};`, map: null };
+    },
+    // Titles, ordering and hashes come from every lesson file, so any content
+    // change rebuilds the structure and reloads the page
+    handleHotUpdate({ file, server }) {
+      if (!isContentFile(file)) return undefined;
+      const structureModule = server.moduleGraph.getModuleById(RESOLVED_STRUCTURE_ID);
+      if (structureModule) server.moduleGraph.invalidateModule(structureModule);
+      server.ws.send({ type: 'full-reload' });
+      return [];
+    },
+  };
+}
@@ -0,0 +1,22 @@
+// Checks course.yaml and every lesson file (see src/content/validateContent.js).
+// The build runs the same check; run it on its own with:
+//
+//   npm run validate:content
+import { readCourse } from './course-content.js';
+import { formatContentErrors, validateContent } from '../src/content/validateContent.js';
+
+let errors;
+try {
+  const { structure, lessons } = readCourse();
+  errors = validateContent(structure, lessons);
+} catch (e) {
+  // A lesson or course.yaml that can't be parsed at all
+  console.error(e.message);
+  process.exit(1);
+}
+
+if (errors.length) {
+  console.error(formatContentErrors(errors));
+  process.exit(1);
+}
+console.log('Course content is valid');
@@ -4,29 +4,127 @@ import Sidebar from './components/Sidebar';
 import Dashboard from './components/Dashboard';
 import LessonViewer from './components/LessonViewer';
 import ProfileGate from './components/ProfileGate';
+import StorageNotice from './components/StorageNotice';
+import StorageHealthNotice from './components/StorageHealthNotice';
+import ProfileSettings from './components/ProfileSettings';
 import { courseStructure } from './content/structure';
 import { clearActiveProfileId } from './storage/settings';
+import { getProfile } from './storage/profiles';
+import { subscribeChanges } from './storage/events';
 import { getProgressMap, markLessonComplete } from './storage/progress';
 import { getBestQuizScores, submitQuizResult } from './storage/quizzes';
+import { getBestExerciseResults, submitExerciseResult } from './storage/exercises';
+import { migrateLegacyCodeDrafts } from './storage/savedCode';
+import { migrateLegacyQuizDrafts } from './storage/quizDrafts';
+import {
+  DEFAULT_PROFILE_SETTINGS,
+  getProfileSettings,
+  updateProfileSettings,
+} from './storage/profileSettings';
+import { useIdleTimeout } from './hooks/useIdleTimeout';
+import { lockProfileData, refreshProfileKey } from './storage/vault';
+import { takeDailySnapshot } from './storage/snapshots';
+import { initStorage, isIndexedDbBackend } from './storage/repositories';
 
 function App() {
   const [profile, setProfile] = useState(null);
   const [loading, setLoading] = useState(true);
   const [progress, setProgress] = useState({});
   const [quizResults, setQuizResults] = useState({});
-  const [sidebarOpen, setSidebarOpen] = useState(true);
+  const [exerciseResults, setExerciseResults] = useState({});
+  const [settings, setSettings] = useState(DEFAULT_PROFILE_SETTINGS);
+  // Auto-locked after inactivity (or a PIN change in another tab): the gate
+  // is shown but the route is kept
+  const [locked, setLocked] = useState(false);
+  // Why the gate is showing, if not simply because no profile is open
+  const [gateNotice, setGateNotice] = useState(null);
+  const sidebarOpen = settings.sidebarOpen;
+
+  useIdleTimeout(
+    profile?.pinHash && !locked ? settings.idleLockMinutes * 60 * 1000 : 0,
+    () => {
+      // Forget the decryption key until the PIN is entered again
+      lockProfileData(profile.profileId);
+      setLocked(true);
+      setGateNotice('Locked after a period of inactivity.');
+    }
+  );
 
   useEffect(() => {
-    // App state is gated by ProfileGate; this effect only controls initial loading spinner.
-    setLoading(false);
+    // Choose IndexedDB or the in-memory fallback before ProfileGate reads profiles
+    initStorage(import.meta.env.VITE_STORAGE_BACKEND || 'auto').finally(() => setLoading(false));
   }, []);
 
+  const loadProfileData = (profileId) => {
+    loadProgress(profileId);
+    loadQuizResults(profileId);
+    loadExerciseResults(profileId);
+    loadSettings(profileId);
+  };
+
+  useEffect(() => {
+    if (profile) loadProfileData(profile.profileId);
+    // Renaming or changing the PIN replaces the profile object; only reload on a switch
+  }, [profile?.profileId]);
+
+  // Follow changes made to the open profile in other tabs
   useEffect(() => {
-    if (profile) {
-      loadProgress(profile.profileId);
-      loadQuizResults(profile.profileId);
+    if (!profile) return undefined;
+    const { profileId } = profile;
+    return subscribeChanges(async (change) => {
+      if (change.profileId !== profileId) return;
+      switch (change.type) {
+        case 'profileDeleted':
+          switchProfile();
+          setGateNotice(`“${profile.name}” was deleted in another tab.`);
+          return;
+        case 'profile': {
+          const updated = await getProfile(profileId);
+          if (!updated) return;
+          // A new or changed PIN re-keys the data, so this tab has to unlock again
+          const unlocked = await refreshProfileKey(profileId);
+          setProfile(updated);
+          if (updated.pinHash && !unlocked) {
+            setLocked(true);
+            setGateNotice('The PIN was changed in another tab. Enter it to continue.');
+          }
+          return;
+        }
+        default:
+          break;
+      }
+      // Data can't be read while locked; it's reloaded on unlock
+      if (locked) return;
+      if (change.type === 'progress') loadProgress(profileId);
+      else if (change.type === 'quizResults') loadQuizResults(profileId);
+      else if (change.type === 'exerciseResults') loadExerciseResults(profileId);
+      else if (change.type === 'settings') loadSettings(profileId);
+      else if (change.type === 'profileData') loadProfileData(profileId);
+    });
+  }, [profile?.profileId, locked]);
+
+  // Adopt drafts left in localStorage by older versions before any editor or quiz reads them
+  const openProfile = async (nextProfile) => {
+    // Left in localStorage on the in-memory fallback, which would lose them on reload
+    if (isIndexedDbBackend()) {
+      try {
+        await migrateLegacyCodeDrafts(nextProfile.profileId);
+        await migrateLegacyQuizDrafts(nextProfile.profileId);
+      } catch (error) {
+        console.error('Failed to migrate saved drafts:', error);
+      }
+    }
+    try {
+      await takeDailySnapshot(nextProfile.profileId);
+    } catch (error) {
+      console.error('Failed to take snapshot:', error);
     }
-  }, [profile]);
+    // Unlocking the profile that was already open: pick up anything saved meanwhile
+    if (locked && nextProfile.profileId === profile?.profileId) loadProfileData(nextProfile.profileId);
+    setProfile(nextProfile);
+    setLocked(false);
+    setGateNotice(null);
+  };
 
   const loadProgress = async (profileId) => {
     try {
@@ -46,11 +144,45 @@ function App() {
     }
   };
 
+  const loadExerciseResults = async (profileId) => {
+    try {
+      const best = await getBestExerciseResults(profileId);
+      setExerciseResults(best || {});
+    } catch (error) {
+      console.error('Failed to load exercise results:', error);
+    }
+  };
+
+  const loadSettings = async (profileId) => {
+    try {
+      setSettings(await getProfileSettings(profileId));
+    } catch (error) {
+      console.error('Failed to load settings:', error);
+    }
+  };
+
+  const changeSettings = async (changes) => {
+    setSettings((prev) => ({ ...prev, ...changes }));
+    if (!profile) return;
+    try {
+      await updateProfileSettings(profile.profileId, changes);
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+    }
+  };
+
+  const toggleSidebar = () => changeSettings({ sidebarOpen: !sidebarOpen });
+
   const switchProfile = () => {
+    if (profile) lockProfileData(profile.profileId);
     clearActiveProfileId();
     setProfile(null);
     setProgress({});
     setQuizResults({});
+    setExerciseResults({});
+    setSettings(DEFAULT_PROFILE_SETTINGS);
+    setLocked(false);
+    setGateNotice(null);
   };
 
   const markComplete = async (lessonId) => {
@@ -91,31 +223,57 @@ function App() {
     }
   };
 
+  const submitExercise = async (exerciseId, passed, code) => {
+    if (!profile) return;
+    try {
+      const { completedAt } = await submitExerciseResult(profile.profileId, exerciseId, passed, code);
+      setExerciseResults((prev) => {
+        const prevBest = prev[exerciseId];
+        const attempts = (prevBest?.attempts || 0) + 1;
+        if (prevBest?.passed) {
+          return { ...prev, [exerciseId]: { ...prevBest, attempts } };
+        }
+        return { ...prev, [exerciseId]: { passed, completedAt, attempts } };
+      });
+    } catch (error) {
+      console.error('Failed to save exercise result:', error);
+    }
+  };
+
   if (loading) {
     return (
       <div className="loading-screen">
+        <StorageNotice />
         <div className="loading-spinner"></div>
         <p>Loading...</p>
       </div>
     );
   }
 
-  if (!profile) {
-    return <ProfileGate onProfileReady={setProfile} />;
+  if (!profile || locked) {
+    return (
+      <>
+        <StorageNotice />
+        <ProfileGate onProfileReady={openProfile} notice={gateNotice} />
+      </>
+    );
   }
 
   return (
     <div className="app">
+      <StorageNotice />
       <Sidebar 
         isOpen={sidebarOpen}
-        onToggle={() => setSidebarOpen(!sidebarOpen)}
+        onToggle={toggleSidebar}
         structure={courseStructure}
         progress={progress}
         quizResults={quizResults}
+        exerciseResults={exerciseResults}
         profile={profile}
         onSwitchProfile={switchProfile}
       />
       <main className={`main-content ${sidebarOpen ? '' : 'sidebar-closed'}`}>
+        {isIndexedDbBackend() && <StorageHealthNotice profile={profile} />}
         <Routes>
           <Route 
             path="/" 
@@ -124,6 +282,7 @@ function App() {
                 structure={courseStructure}
                 progress={progress}
                 quizResults={quizResults}
+                exerciseResults={exerciseResults}
                 profile={profile}
               />
             } 
@@ -132,10 +291,24 @@ function App() {
             path="/lesson/:phaseId/:moduleId/:lessonId" 
             element={
               <LessonViewer 
+                profileId={profile.profileId}
                 progress={progress}
                 quizResults={quizResults}
                 onComplete={markComplete}
                 onQuizSubmit={submitQuiz}
+                onExerciseResult={submitExercise}
+              />
+            } 
+          />
+          <Route 
+            path="/settings" 
+            element={
+              <ProfileSettings 
+                profile={profile}
+                settings={settings}
+                onProfileUpdated={setProfile}
+                onSettingsChange={changeSettings}
+                onDataRestored={() => loadProfileData(profile.profileId)}
               />
             } 
           />
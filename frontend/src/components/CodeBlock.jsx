@@ -0,0 +1,14 @@
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { oneDark } from 'react-syntax-highlighter/dist/esm/styles/prism';
+
+// Highlighted code in lesson text. LessonViewer loads this lazily, so the
+// highlighter and its grammars are only fetched once a lesson has code.
+function CodeBlock({ language, children, ...props }) {
+  return (
+    <SyntaxHighlighter style={oneDark} language={language} PreTag="div" {...props}>
+      {children}
+    </SyntaxHighlighter>
+  );
+}
+
+export default CodeBlock;
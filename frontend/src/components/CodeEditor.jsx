@@ -1,112 +1,163 @@
 import { useState, useRef, useEffect } from 'react';
 import Editor from '@monaco-editor/react';
+import '../monacoSetup';
+import { useUnsavedWork } from '../hooks/useUnsavedWork';
+import { describeExpectedOutput, matchOutput } from '../runner/matchOutput';
+import { clearSavedCode, getSavedCode, saveCode } from '../storage/savedCode';
+import { DEFAULT_MAX_OUTPUT_LINES, DEFAULT_TIMEOUT_MS, runCode as runSandboxed } from '../runner/runner';
 
-function CodeEditor({ exerciseId, initialCode, expectedOutput, hint }) {
-  const storageKey = exerciseId ? `code-editor-${exerciseId}` : null;
-  
-  // Load saved code from localStorage on mount
-  const loadSavedCode = () => {
-    if (!storageKey) return initialCode || '// Write your code here\n';
-    
-    try {
-      const saved = localStorage.getItem(storageKey);
-      if (saved) {
-        return saved;
-      }
-    } catch (e) {
-      console.error('Failed to load saved code:', e);
+// What the program wrote to stdout. Like Node, warn/error go to stderr and
+// are shown but not compared against the expected output.
+const STDOUT_LEVELS = new Set(['log', 'info', 'debug']);
+
+function getStdout(runResult) {
+  return runResult.entries
+    .filter((e) => STDOUT_LEVELS.has(e.level))
+    .map((e) => e.text)
+    .join('\n');
+}
+
+function buildOutputRows(runResult, maxOutputLines) {
+  const rows = [...runResult.entries];
+  if (runResult.truncated) {
+    rows.push({ level: 'system', text: `… output truncated after ${maxOutputLines} lines` });
+  }
+  if (runResult.status === 'ok') {
+    if (runResult.returnValue !== undefined) {
+      rows.push({ level: 'system', text: `Return value: ${runResult.returnValue}` });
     }
-    return initialCode || '// Write your code here\n';
-  };
+    if (rows.length === 0) {
+      rows.push({ level: 'system', text: 'Code executed successfully (no output)' });
+    }
+  } else if (runResult.status === 'cancelled') {
+    rows.push({ level: 'warn', text: 'Execution stopped' });
+  } else if (runResult.status === 'timeout') {
+    rows.push({ level: 'error', text: runResult.error });
+  } else {
+    rows.push({ level: 'error', text: `Error: ${runResult.error}` });
+  }
+  return rows;
+}
+
+// Returns { passed, outputMatch }. `passed` is null when the exercise has
+// nothing to check against. Declared tests take precedence over stdout
+// matching; either way a run that errored or timed out doesn't pass.
+function gradeRun(runResult, { tests, expectedOutput }) {
+  if (tests?.length) {
+    const results = runResult.tests;
+    return {
+      passed:
+        runResult.status === 'ok' && results.length === tests.length && results.every((t) => t.passed),
+      outputMatch: null,
+    };
+  }
+  if (!expectedOutput) return { passed: null, outputMatch: null };
 
-  const [code, setCode] = useState(loadSavedCode);
-  const [output, setOutput] = useState('');
+  const outputMatch = matchOutput(expectedOutput, getStdout(runResult));
+  return { passed: runResult.status === 'ok' && outputMatch.passed, outputMatch };
+}
+
+function CodeEditor({
+  profileId,
+  exerciseId,
+  initialCode,
+  expectedOutput,
+  tests,
+  hint,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  maxOutputLines = DEFAULT_MAX_OUTPUT_LINES,
+  onResult,
+}) {
+  const starterCode = initialCode || '// Write your code here\n';
+  const canSave = Boolean(profileId && exerciseId);
+
+  const [code, setCode] = useState(starterCode);
+  // Saving waits until the stored draft has loaded so it can't be clobbered by the starter code
+  const [draftLoaded, setDraftLoaded] = useState(!canSave);
+  const [runResult, setRunResult] = useState(null);
   const [isRunning, setIsRunning] = useState(false);
   const [showHint, setShowHint] = useState(false);
+  // Edited since the last run; with a run in progress, holds off app updates
+  const [editedSinceRun, setEditedSinceRun] = useState(false);
   const editorRef = useRef(null);
+  const runRef = useRef(null);
+
+  useUnsavedWork(isRunning || editedSinceRun);
 
-  // Save code to localStorage whenever it changes
+  // Terminate any in-flight run when leaving the exercise
+  useEffect(() => () => runRef.current?.cancel(), []);
+
+  // Load the profile's saved draft for this exercise
   useEffect(() => {
-    if (storageKey && code) {
-      try {
-        localStorage.setItem(storageKey, code);
-      } catch (e) {
-        console.error('Failed to save code:', e);
-      }
+    if (!canSave) return;
+    let cancelled = false;
+    getSavedCode(profileId, exerciseId)
+      .then((saved) => {
+        // An empty draft counts: the learner cleared the editor
+        if (!cancelled && saved !== null) setCode(saved);
+      })
+      .catch((e) => console.error('Failed to load saved code:', e))
+      .finally(() => {
+        if (!cancelled) setDraftLoaded(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [canSave, profileId, exerciseId]);
+
+  const handleCodeChange = (value) => {
+    const next = value || '';
+    setCode(next);
+    setEditedSinceRun(true);
+    if (canSave && draftLoaded) {
+      saveCode(profileId, exerciseId, next).catch((e) => console.error('Failed to save code:', e));
     }
-  }, [code, storageKey]);
+  };
 
   const handleEditorDidMount = (editor) => {
     editorRef.current = editor;
   };
 
-  const runCode = () => {
+  const runCode = async () => {
     setIsRunning(true);
-    setOutput('');
-    
-    // Create a sandbox to run the code
-    const logs = [];
-    const originalConsoleLog = console.log;
-    
-    // Override console.log to capture output
-    console.log = (...args) => {
-      logs.push(args.map(arg => {
-        if (typeof arg === 'object') {
-          return JSON.stringify(arg, null, 2);
-        }
-        return String(arg);
-      }).join(' '));
-    };
+    setEditedSinceRun(false);
+    setRunResult(null);
+
+    const run = runSandboxed(code, { tests: tests || [], timeoutMs, maxOutputLines });
+    runRef.current = run;
+    const res = await run.result;
+    if (runRef.current !== run) return;
+    runRef.current = null;
 
-    try {
-      // Create a function from the code and execute it
-      const func = new Function(code);
-      const result = func();
-      
-      // If there's a return value, add it to output
-      if (result !== undefined) {
-        logs.push(`Return value: ${JSON.stringify(result, null, 2)}`);
-      }
-      
-      setOutput(logs.join('\n') || 'Code executed successfully (no output)');
-    } catch (error) {
-      setOutput(`Error: ${error.message}`);
-    } finally {
-      // Restore original console.log
-      console.log = originalConsoleLog;
-      setIsRunning(false);
+    setRunResult(res);
+    setIsRunning(false);
+
+    // Record graded runs; a run the learner stopped says nothing about the solution
+    const { passed } = gradeRun(res, { tests, expectedOutput });
+    if (passed !== null && res.status !== 'cancelled') {
+      onResult?.(passed, code);
     }
   };
 
+  const stopCode = () => {
+    runRef.current?.cancel();
+  };
+
   const resetCode = () => {
-    const resetValue = initialCode || '// Write your code here\n';
-    setCode(resetValue);
-    setOutput('');
-    
+    setCode(starterCode);
+    setRunResult(null);
+    setEditedSinceRun(false);
+
     // Clear saved code on reset
-    if (storageKey) {
-      try {
-        localStorage.removeItem(storageKey);
-      } catch (e) {
-        console.error('Failed to clear saved code:', e);
-      }
+    if (canSave) {
+      clearSavedCode(profileId, exerciseId).catch((e) => console.error('Failed to clear saved code:', e));
     }
   };
 
-  const checkResult = () => {
-    if (!expectedOutput) return null;
-    
-    const outputLines = output.trim().split('\n');
-    const expectedLines = expectedOutput.trim().split('\n');
-    
-    const isCorrect = outputLines.every((line, i) => 
-      line.trim() === expectedLines[i]?.trim()
-    ) && outputLines.length === expectedLines.length;
-    
-    return isCorrect;
-  };
-
-  const result = output ? checkResult() : null;
+  const testResults = runResult?.tests;
+  const { passed: result, outputMatch } = runResult
+    ? gradeRun(runResult, { tests, expectedOutput })
+    : { passed: null, outputMatch: null };
 
   return (
     <div className="code-editor-container">
@@ -118,6 +169,11 @@ function CodeEditor({ exerciseId, initialCode, expectedOutput, hint }) {
         >
           {isRunning ? '⏳ Running...' : '▶ Run Code'}
         </button>
+        {isRunning && (
+          <button onClick={stopCode} className="btn-stop">
+            ■ Stop
+          </button>
+        )}
         <button onClick={resetCode} className="btn-reset">
           ↺ Reset
         </button>
@@ -142,7 +198,7 @@ function CodeEditor({ exerciseId, initialCode, expectedOutput, hint }) {
           height="300px"
           defaultLanguage="javascript"
           value={code}
-          onChange={(value) => setCode(value || '')}
+          onChange={handleCodeChange}
           onMount={handleEditorDidMount}
           theme="vs-dark"
           options={{
@@ -154,6 +210,7 @@ function CodeEditor({ exerciseId, initialCode, expectedOutput, hint }) {
             automaticLayout: true,
             tabSize: 2,
             wordWrap: 'on',
+            readOnly: !draftLoaded,
           }}
         />
       </div>
@@ -167,13 +224,76 @@ function CodeEditor({ exerciseId, initialCode, expectedOutput, hint }) {
             </span>
           )}
         </div>
-        <pre className="output-content">
-          {output || 'Click "Run Code" to see output'}
-        </pre>
+        <div className="output-content">
+          {runResult ? (
+            buildOutputRows(runResult, maxOutputLines).map((row, i) => (
+              <div key={i} className={`output-line level-${row.level}`}>
+                {row.text}
+              </div>
+            ))
+          ) : (
+            <div className="output-line level-system">Click "Run Code" to see output</div>
+          )}
+        </div>
+        {tests?.length > 0 && testResults && (
+          <ul className="test-results">
+            {tests.map((test, i) => {
+              const t = testResults[i];
+              const status = !t ? 'skipped' : t.passed ? 'passed' : 'failed';
+              return (
+                <li key={test.name || i} className={`test-result ${status}`}>
+                  <div className="test-summary">
+                    <span className="test-status">
+                      {status === 'passed' ? '✓' : status === 'failed' ? '✗' : '○'}
+                    </span>
+                    <span className="test-name">{test.name}</span>
+                  </div>
+                  {!t ? (
+                    <div className="test-detail">Not run</div>
+                  ) : t.error ? (
+                    <div className="test-detail">Error: {t.error}</div>
+                  ) : (
+                    <div className="test-detail">
+                      <span>Expected: <code>{t.expected}</code></span>
+                      <span>Actual: <code>{t.actual}</code></span>
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        {outputMatch && !outputMatch.passed && (
+          <div className="output-diff">
+            <strong>Expected vs actual:</strong>
+            <table>
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>Expected</th>
+                  <th>Actual</th>
+                </tr>
+              </thead>
+              <tbody>
+                {outputMatch.rows.map((row, i) => (
+                  <tr key={i} className={`diff-row ${row.status}`}>
+                    <td className="diff-marker">{row.status === 'match' ? '✓' : '✗'}</td>
+                    <td>{row.expected ?? <em>(no more lines expected)</em>}</td>
+                    <td>{row.actual ?? <em>(missing)</em>}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
         {expectedOutput && (
           <div className="expected-output">
             <strong>Expected output:</strong>
-            <pre>{expectedOutput}</pre>
+            <pre>
+              {typeof expectedOutput === 'string'
+                ? expectedOutput
+                : describeExpectedOutput(expectedOutput).join('\n')}
+            </pre>
           </div>
         )}
       </div>
@@ -1,6 +1,6 @@
 import { Link } from 'react-router-dom';
 
-function Dashboard({ structure, progress, quizResults, profile }) {
+function Dashboard({ structure, progress, quizResults, exerciseResults, profile }) {
   const getTotalLessons = () => {
     let total = 0;
     structure.forEach(phase => {
@@ -15,17 +15,28 @@ function Dashboard({ structure, progress, quizResults, profile }) {
     return Object.values(progress).filter(p => p.completed).length;
   };
 
+  const getSolvedExercises = () => {
+    return Object.values(exerciseResults).filter(r => r.passed).length;
+  };
+
   const getPhaseStats = (phase) => {
     let completed = 0;
     let total = 0;
+    let exercisesSolved = 0;
     phase.modules.forEach(module => {
       module.lessons.forEach(lesson => {
         total++;
         const id = `${phase.id}-${module.id}-${lesson.id}`;
         if (progress[id]?.completed) completed++;
+        if (exerciseResults[`${id}-exercise`]?.passed) exercisesSolved++;
       });
     });
-    return { completed, total, percentage: total > 0 ? Math.round((completed / total) * 100) : 0 };
+    return {
+      completed,
+      total,
+      exercisesSolved,
+      percentage: total > 0 ? Math.round((completed / total) * 100) : 0,
+    };
   };
 
   const getNextLesson = () => {
@@ -46,6 +57,7 @@ function Dashboard({ structure, progress, quizResults, profile }) {
   const completedLessons = getCompletedLessons();
   const overallPercentage = totalLessons > 0 ? Math.round((completedLessons / totalLessons) * 100) : 0;
   const nextLesson = getNextLesson();
+  const solvedExercises = getSolvedExercises();
 
   return (
     <div className="dashboard">
@@ -93,6 +105,14 @@ function Dashboard({ structure, progress, quizResults, profile }) {
           </div>
         </div>
 
+        <div className="stat-card">
+          <span className="stat-icon">💻</span>
+          <div className="stat-info">
+            <h3>{solvedExercises}</h3>
+            <p>Exercises Solved</p>
+          </div>
+        </div>
+
         <div className="stat-card">
           <span className="stat-icon">🔥</span>
           <div className="stat-info">
@@ -142,6 +162,9 @@ function Dashboard({ structure, progress, quizResults, profile }) {
                 </div>
                 <div className="phase-progress-text">
                   <span>{stats.completed}/{stats.total} lessons</span>
+                  {stats.exercisesSolved > 0 && (
+                    <span>{stats.exercisesSolved} exercises solved</span>
+                  )}
                   <span>{stats.percentage}%</span>
                 </div>
                 <div className="phase-modules">
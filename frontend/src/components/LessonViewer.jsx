@@ -1,27 +1,46 @@
 import { useParams, useNavigate, Link } from 'react-router-dom';
-import { useState, useEffect } from 'react';
+import { useState, useEffect, lazy, Suspense } from 'react';
 import ReactMarkdown from 'react-markdown';
-import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
-import { oneDark } from 'react-syntax-highlighter/dist/esm/styles/prism';
-import CodeEditor from './CodeEditor';
 import Quiz from './Quiz';
 import { courseStructure } from '../content/structure';
 import { getLesson } from '../content/lessons';
 
-function LessonViewer({ progress, quizResults, onComplete, onQuizSubmit }) {
+// Monaco and the syntax highlighter are large, so they're separate chunks
+// loaded the first time a lesson needs them
+const CodeEditor = lazy(() => import('./CodeEditor'));
+const CodeBlock = lazy(() => import('./CodeBlock'));
+
+function LessonViewer({ profileId, progress, quizResults, onComplete, onQuizSubmit, onExerciseResult }) {
   const { phaseId, moduleId, lessonId } = useParams();
   const navigate = useNavigate();
   const [lesson, setLesson] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState(false);
 
   const lessonProgressId = `${phaseId}-${moduleId}-${lessonId}`;
   const isComplete = progress[lessonProgressId]?.completed || false;
 
   useEffect(() => {
+    let cancelled = false;
     setLoading(true);
-    const lessonData = getLesson(phaseId, moduleId, lessonId);
-    setLesson(lessonData);
-    setLoading(false);
+    setLoadError(false);
+    getLesson(phaseId, moduleId, lessonId)
+      .then((lessonData) => {
+        if (!cancelled) setLesson(lessonData);
+      })
+      .catch((e) => {
+        console.error('Failed to load lesson:', e);
+        if (!cancelled) {
+          setLesson(null);
+          setLoadError(true);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
   }, [phaseId, moduleId, lessonId]);
 
   const findCurrentPosition = () => {
@@ -71,6 +90,16 @@ function LessonViewer({ progress, quizResults, onComplete, onQuizSubmit }) {
     );
   }
 
+  if (loadError) {
+    return (
+      <div className="lesson-not-found">
+        <h2>Couldn't Load Lesson</h2>
+        <p>Check your connection, or reload if the app was just updated.</p>
+        <button onClick={() => window.location.reload()} className="btn-primary">Reload</button>
+      </div>
+    );
+  }
+
   if (!lesson) {
     return (
       <div className="lesson-not-found">
@@ -111,16 +140,17 @@ function LessonViewer({ progress, quizResults, onComplete, onQuizSubmit }) {
             components={{
               code({ node, inline, className, children, ...props }) {
                 const match = /language-(\w+)/.exec(className || '');
-                return !inline && match ? (
-                  <SyntaxHighlighter
-                    style={oneDark}
-                    language={match[1]}
-                    PreTag="div"
-                    {...props}
-                  >
-                    {String(children).replace(/\n$/, '')}
-                  </SyntaxHighlighter>
-                ) : (
+                if (!inline && match) {
+                  const code = String(children).replace(/\n$/, '');
+                  return (
+                    <Suspense fallback={<pre><code>{code}</code></pre>}>
+                      <CodeBlock language={match[1]} {...props}>
+                        {code}
+                      </CodeBlock>
+                    </Suspense>
+                  );
+                }
+                return (
                   <code className={className} {...props}>
                     {children}
                   </code>
@@ -136,13 +166,22 @@ function LessonViewer({ progress, quizResults, onComplete, onQuizSubmit }) {
           <section className="lesson-exercise">
             <h2>💻 Exercise</h2>
             <p>{lesson.exercise.description}</p>
-            <CodeEditor 
-              key={`${lessonProgressId}-exercise`}
-              exerciseId={`${lessonProgressId}-exercise`}
-              initialCode={lesson.exercise.starterCode}
-              expectedOutput={lesson.exercise.expectedOutput}
-              hint={lesson.exercise.hint}
-            />
+            <Suspense fallback={<div className="editor-loading">Loading editor...</div>}>
+              <CodeEditor 
+                key={`${profileId}-${lessonProgressId}-exercise`}
+                profileId={profileId}
+                exerciseId={`${lessonProgressId}-exercise`}
+                initialCode={lesson.exercise.starterCode}
+                expectedOutput={lesson.exercise.expectedOutput}
+                tests={lesson.exercise.tests}
+                hint={lesson.exercise.hint}
+                timeoutMs={lesson.exercise.timeoutMs}
+                maxOutputLines={lesson.exercise.maxOutputLines}
+                onResult={(passed, code) =>
+                  onExerciseResult(`${lessonProgressId}-exercise`, passed, code)
+                }
+              />
+            </Suspense>
           </section>
         )}
 
@@ -150,7 +189,8 @@ function LessonViewer({ progress, quizResults, onComplete, onQuizSubmit }) {
           <section className="lesson-quiz">
             <h2>📝 Quiz</h2>
             <Quiz 
-              key={`${lessonProgressId}-quiz`}
+              key={`${profileId}-${lessonProgressId}-quiz`}
+              profileId={profileId}
               questions={lesson.quiz}
               quizId={`${lessonProgressId}-quiz`}
               previousResult={quizResults[`${lessonProgressId}-quiz`]}
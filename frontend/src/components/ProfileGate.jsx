@@ -4,21 +4,71 @@ import {
   deleteProfile,
   getProfile,
   listProfiles,
-  verifyProfilePin,
 } from '../storage/profiles';
+import { attemptProfilePin, formatRetryAfter, getPinLockout } from '../storage/pinAttempts';
+import { lockProfileData, unlockProfileData } from '../storage/vault';
+import { subscribeChanges } from '../storage/events';
 import { clearActiveProfileId, getActiveProfileId, setActiveProfileId } from '../storage/settings';
-import { exportProfileData, importProfileData } from '../storage/exportImport';
+import { exportProfileData, importProfileData, previewImport } from '../storage/exportImport';
+import { SECTION_LABELS } from '../storage/importPlan';
+import { listOrphanedSnapshots, restoreSnapshot, takeSnapshot } from '../storage/snapshots';
+import { requestPersistentStorage } from '../storage/usage';
+import { isIndexedDbBackend } from '../storage/repositories';
+import { downloadJson, exportFileName } from '../utils/download';
+import SnapshotList from './SnapshotList';
+import {
+  decryptExport,
+  encryptExport,
+  isEncryptedExport,
+  MIN_PASSPHRASE_LENGTH,
+} from '../storage/encryptedExport';
 
-function ProfileGate({ onProfileReady }) {
+// `notice` explains why the gate is showing, e.g. after an idle lock
+function ProfileGate({ onProfileReady, notice = null }) {
   const [loading, setLoading] = useState(true);
   const [profiles, setProfiles] = useState([]);
   const [selectedProfileId, setSelectedProfileId] = useState(null);
   const [pin, setPin] = useState('');
   const [error, setError] = useState('');
+  // When the selected profile may next try a PIN (after too many failures)
+  const [retryAt, setRetryAt] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
 
   const [createName, setCreateName] = useState('');
   const [createPin, setCreatePin] = useState('');
   const [importing, setImporting] = useState(false);
+  // Parsed file awaiting confirmation, plus the chosen strategy and its preview
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importStrategy, setImportStrategy] = useState('new');
+  const [importTargetId, setImportTargetId] = useState('');
+  const [importPin, setImportPin] = useState('');
+  // A PIN profile unlocked here only to import into or export it (locked again afterwards)
+  const [unlockedTargetId, setUnlockedTargetId] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  // Encrypted file waiting for its passphrase
+  const [encryptedImport, setEncryptedImport] = useState(null);
+  const [importPassphrase, setImportPassphrase] = useState('');
+
+  // Export options for the profile whose Export button was clicked
+  const [exportProfileId, setExportProfileId] = useState(null);
+  const [exportEncrypted, setExportEncrypted] = useState(false);
+  const [exportPassphrase, setExportPassphrase] = useState('');
+  const [exportPassphraseConfirm, setExportPassphraseConfirm] = useState('');
+  const [exportPin, setExportPin] = useState('');
+  const [exporting, setExporting] = useState(false);
+
+  // Profile whose Delete button was clicked
+  const [deleteProfileId, setDeleteProfileId] = useState(null);
+  const [deleting, setDeleting] = useState(false);
+
+  // Snapshots of deleted profiles, and the one being restored
+  const [orphanedSnapshots, setOrphanedSnapshots] = useState([]);
+  const [restoreTarget, setRestoreTarget] = useState(null);
+  const [restorePin, setRestorePin] = useState('');
+  const [restoring, setRestoring] = useState(false);
+
+  // On the in-memory fallback nothing outlives the page
+  const persistent = isIndexedDbBackend();
 
   const selectedProfile = useMemo(
     () => profiles.find((p) => p.profileId === selectedProfileId) || null,
@@ -28,6 +78,11 @@ function ProfileGate({ onProfileReady }) {
   const refreshProfiles = async () => {
     const list = await listProfiles();
     setProfiles(list);
+    try {
+      setOrphanedSnapshots(await listOrphanedSnapshots());
+    } catch (err) {
+      console.error('Failed to load snapshots:', err);
+    }
     return list;
   };
 
@@ -46,13 +101,66 @@ function ProfileGate({ onProfileReady }) {
     })();
   }, []);
 
+  // Profiles created, renamed, re-locked or deleted in another tab
+  useEffect(
+    () =>
+      subscribeChanges(async (change) => {
+        if (!['profile', 'profileData', 'profileDeleted'].includes(change.type)) return;
+        try {
+          await refreshProfiles();
+        } catch (err) {
+          console.error('Failed to refresh profiles:', err);
+        }
+        if (change.type !== 'profileDeleted') return;
+        const gone = (id) => (id === change.profileId ? null : id);
+        setSelectedProfileId(gone);
+        setExportProfileId(gone);
+        setDeleteProfileId(gone);
+        setUnlockedTargetId(gone);
+        setImportTargetId((id) => (id === change.profileId ? '' : id));
+      }),
+    []
+  );
+
+  useEffect(() => {
+    if (!selectedProfileId) return undefined;
+    let cancelled = false;
+    getPinLockout(selectedProfileId)
+      .then(({ retryAfterMs }) => {
+        if (!cancelled) setRetryAt(retryAfterMs > 0 ? Date.now() + retryAfterMs : 0);
+      })
+      .catch((err) => {
+        console.error('Failed to load PIN attempts:', err);
+        if (!cancelled) setError(err.message || 'Failed to load PIN attempts');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedProfileId]);
+
+  // Tick once a second while locked out so the countdown updates
+  useEffect(() => {
+    if (retryAt <= Date.now()) return undefined;
+    setNow(Date.now());
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [retryAt]);
+
+  const retryAfterMs = Math.max(0, retryAt - now);
+
   const handleSelect = async (profileId) => {
     setError('');
     setPin('');
     setSelectedProfileId(profileId);
     setActiveProfileId(profileId);
 
-    const p = await getProfile(profileId);
+    let p;
+    try {
+      p = await getProfile(profileId);
+    } catch (err) {
+      setError(err.message || 'Failed to open profile');
+      return;
+    }
     if (p && !p.pinHash) {
       onProfileReady(p);
     }
@@ -63,15 +171,45 @@ function ProfileGate({ onProfileReady }) {
     setError('');
     if (!selectedProfileId) return;
 
-    const ok = await verifyProfilePin(selectedProfileId, pin);
-    if (!ok) {
-      setError('Incorrect PIN');
+    let p;
+    try {
+      const attempt = await attemptProfilePin(selectedProfileId, pin);
+      if (!attempt.ok) {
+        setPin('');
+        setRetryAt(attempt.retryAfterMs > 0 ? Date.now() + attempt.retryAfterMs : 0);
+        setError(
+          attempt.retryAfterMs > 0
+            ? `Incorrect PIN. Too many attempts; try again in ${formatRetryAfter(attempt.retryAfterMs)}.`
+            : 'Incorrect PIN'
+        );
+        return;
+      }
+      // Derives the key that decrypts this profile's data
+      await unlockProfileData(selectedProfileId, pin);
+      p = await getProfile(selectedProfileId);
+    } catch (err) {
+      setError(err.message || 'Failed to unlock profile');
       return;
     }
-    const p = await getProfile(selectedProfileId);
     onProfileReady(p);
   };
 
+  // Checks the PIN of a profile that isn't being opened and unlocks its data
+  // for one operation. Returns false (with the error shown) if the PIN is wrong.
+  const unlockForOperation = async (profileId, enteredPin) => {
+    const attempt = await attemptProfilePin(profileId, enteredPin);
+    if (!attempt.ok) {
+      setError(
+        attempt.retryAfterMs > 0
+          ? `Incorrect PIN. Too many attempts; try again in ${formatRetryAfter(attempt.retryAfterMs)}.`
+          : 'Incorrect PIN'
+      );
+      return false;
+    }
+    await unlockProfileData(profileId, enteredPin);
+    return true;
+  };
+
   const handleCreate = async (e) => {
     e.preventDefault();
     setError('');
@@ -82,6 +220,8 @@ function ProfileGate({ onProfileReady }) {
       });
       setCreateName('');
       setCreatePin('');
+      // There is now data worth keeping; ask the browser not to evict it
+      if (persistent) await requestPersistentStorage();
       await refreshProfiles();
       await handleSelect(p.profileId);
     } catch (err) {
@@ -89,51 +229,246 @@ function ProfileGate({ onProfileReady }) {
     }
   };
 
-  const handleDelete = async (profileId) => {
+  const deleteTarget = profiles.find((p) => p.profileId === deleteProfileId) || null;
+
+  const openDelete = (profileId) => {
+    setError('');
+    setDeleteProfileId(profileId);
+  };
+
+  const closeDelete = () => {
+    setDeleteProfileId(null);
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    if (!deleteTarget) return;
+    setError('');
+    setDeleting(true);
+    const { profileId } = deleteTarget;
+    try {
+      // Kept after the profile is gone so the delete can be undone from here.
+      // No PIN is needed: a PIN profile's rows are copied still encrypted.
+      await takeSnapshot(profileId, 'delete');
+      await deleteProfile(profileId);
+      closeDelete();
+      if (getActiveProfileId() === profileId) clearActiveProfileId();
+      const list = await refreshProfiles();
+      const activeId = getActiveProfileId();
+      if (activeId && list.some((x) => x.profileId === activeId)) {
+        setSelectedProfileId(activeId);
+      } else {
+        setSelectedProfileId(null);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to delete profile');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const openRestore = (snapshot) => {
+    setError('');
+    setRestoreTarget(snapshot);
+    setRestorePin('');
+  };
+
+  const closeRestore = () => {
+    setRestoreTarget(null);
+    setRestorePin('');
+  };
+
+  const handleRestore = async (e) => {
+    e.preventDefault();
+    if (!restoreTarget) return;
+    setError('');
+    setRestoring(true);
+    try {
+      const profileId = await restoreSnapshot(restoreTarget.id, {
+        pin: restoreTarget.encrypted ? restorePin : null,
+      });
+      const encrypted = restoreTarget.encrypted;
+      closeRestore();
+      await refreshProfiles();
+      if (encrypted) {
+        // Restored with its old PIN; open it through the normal unlock
+        lockProfileData(profileId);
+        setSelectedProfileId(profileId);
+        setActiveProfileId(profileId);
+      } else {
+        await handleSelect(profileId);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to restore snapshot');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const exportTarget = profiles.find((p) => p.profileId === exportProfileId) || null;
+
+  const openExport = (profileId) => {
     const p = profiles.find((x) => x.profileId === profileId);
-    const name = p?.name || 'this profile';
-    // eslint-disable-next-line no-alert
-    const ok = window.confirm(`Delete ${name}? This removes all progress on this device.`);
-    if (!ok) return;
-
-    await deleteProfile(profileId);
-    if (getActiveProfileId() === profileId) clearActiveProfileId();
-    const list = await refreshProfiles();
-    const activeId = getActiveProfileId();
-    if (activeId && list.some((x) => x.profileId === activeId)) {
-      setSelectedProfileId(activeId);
-    } else {
-      setSelectedProfileId(null);
+    setError('');
+    setExportProfileId(profileId);
+    // A locked profile's history shouldn't end up in a plain file by default
+    setExportEncrypted(Boolean(p?.pinHash));
+    setExportPassphrase('');
+    setExportPassphraseConfirm('');
+    setExportPin('');
+  };
+
+  const closeExport = () => {
+    setExportProfileId(null);
+    setExportPassphrase('');
+    setExportPassphraseConfirm('');
+    setExportPin('');
+  };
+
+  const handleExport = async (e) => {
+    e.preventDefault();
+    if (!exportProfileId) return;
+    setError('');
+    if (exportEncrypted && exportPassphrase !== exportPassphraseConfirm) {
+      setError('Passphrases do not match');
+      return;
+    }
+    setExporting(true);
+    const locked = Boolean(exportTarget?.pinHash);
+    try {
+      // A PIN profile's data is encrypted at rest; reading it needs the PIN
+      if (locked && !(await unlockForOperation(exportProfileId, exportPin))) return;
+      const data = await exportProfileData(exportProfileId);
+      if (exportEncrypted) {
+        downloadJson(exportFileName(data.profile.name, true), await encryptExport(data, exportPassphrase));
+      } else {
+        downloadJson(exportFileName(data.profile.name), data);
+      }
+      closeExport();
+    } catch (err) {
+      setError(err.message || 'Export failed');
+    } finally {
+      if (locked) lockProfileData(exportProfileId);
+      setExporting(false);
     }
   };
 
-  const downloadJson = (filename, obj) => {
-    const blob = new Blob([JSON.stringify(obj, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
+  const importTarget = profiles.find((p) => p.profileId === importTargetId) || null;
+
+  // Recompute the preview whenever the file, strategy or target changes
+  const importTargetLocked =
+    importStrategy !== 'new' && Boolean(importTarget?.pinHash) && unlockedTargetId !== importTargetId;
+
+  useEffect(() => {
+    if (!pendingImport) return undefined;
+    // A locked target's data can't be read (to diff against) until its PIN is entered
+    if ((importStrategy !== 'new' && !importTargetId) || importTargetLocked) {
+      setImportPreview(null);
+      return undefined;
+    }
+    let cancelled = false;
+    setError('');
+    previewImport(pendingImport.data, {
+      strategy: importStrategy,
+      overwriteProfileId: importStrategy === 'new' ? null : importTargetId,
+    })
+      .then((preview) => {
+        if (!cancelled) setImportPreview(preview);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setImportPreview(null);
+        setError(err.message || 'Import failed');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [pendingImport, importStrategy, importTargetId, importTargetLocked]);
+
+  // Lock an import target again once it's no longer needed (including when a
+  // profile is opened mid-import)
+  useEffect(() => {
+    if (!unlockedTargetId) return undefined;
+    return () => lockProfileData(unlockedTargetId);
+  }, [unlockedTargetId]);
+
+  const relockImportTarget = () => setUnlockedTargetId(null);
+
+  const cancelImport = () => {
+    relockImportTarget();
+    setEncryptedImport(null);
+    setImportPassphrase('');
+    setPendingImport(null);
+    setImportPreview(null);
+    setImportStrategy('new');
+    setImportTargetId('');
+    setImportPin('');
   };
 
-  const handleExport = async (profileId) => {
-    const data = await exportProfileData(profileId);
-    const safeName = (data.profile?.name || 'profile').replace(/[^\w\-]+/g, '_');
-    downloadJson(`eda_${safeName}.json`, data);
+  // Validates the file up front so problems show before any options
+  const beginImport = async (fileName, data) => {
+    await previewImport(data, { strategy: 'new' });
+    setPendingImport({ fileName, data });
+    setImportTargetId(profiles[0]?.profileId || '');
   };
 
   const handleImportFile = async (file) => {
     setError('');
-    setImporting(true);
+    cancelImport();
     try {
       const text = await file.text();
       const data = JSON.parse(text);
-      const profileId = await importProfileData(data);
+      if (isEncryptedExport(data)) {
+        setEncryptedImport({ fileName: file.name, envelope: data });
+        return;
+      }
+      await beginImport(file.name, data);
+    } catch (err) {
+      setError(err.message || 'Import failed');
+    }
+  };
+
+  const handleDecryptImport = async (e) => {
+    e.preventDefault();
+    if (!encryptedImport) return;
+    setError('');
+    setImporting(true);
+    try {
+      const data = await decryptExport(encryptedImport.envelope, importPassphrase);
+      setEncryptedImport(null);
+      setImportPassphrase('');
+      await beginImport(encryptedImport.fileName, data);
+    } catch (err) {
+      setError(err.message || 'Import failed');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleConfirmImport = async (e) => {
+    e.preventDefault();
+    if (!pendingImport) return;
+    setError('');
+    setImporting(true);
+    try {
+      const into = importStrategy === 'new' ? null : importTarget;
+      // Changing a locked profile needs its PIN, just like opening it. The
+      // first submit unlocks it so the preview can be shown; the next imports.
+      if (importTargetLocked) {
+        if (await unlockForOperation(into.profileId, importPin)) {
+          setUnlockedTargetId(into.profileId);
+          setImportPin('');
+        }
+        return;
+      }
+      if (into) await takeSnapshot(into.profileId, 'import');
+      const profileId = await importProfileData(pendingImport.data, {
+        strategy: importStrategy,
+        overwriteProfileId: into?.profileId || null,
+      });
+      cancelImport();
       await refreshProfiles();
-      await handleSelect(profileId);
+      if (!into?.pinHash) await handleSelect(profileId);
     } catch (err) {
       setError(err.message || 'Import failed');
     } finally {
@@ -159,6 +494,7 @@ function ProfileGate({ onProfileReady }) {
           <p>Select a local profile</p>
         </div>
 
+        {notice && <p style={{ opacity: 0.75, margin: '0 0 1rem', textAlign: 'center' }}>{notice}</p>}
         {error && <div className="error-message">{error}</div>}
 
         <div className="login-form" style={{ gap: 16 }}>
@@ -193,10 +529,10 @@ function ProfileGate({ onProfileReady }) {
                     <span>{p.name}</span>
                     <span style={{ opacity: 0.75 }}>{p.pinHash ? '🔒' : ''}</span>
                   </button>
-                  <button type="button" className="btn-secondary" onClick={() => handleExport(p.profileId)}>
+                  <button type="button" className="btn-secondary" onClick={() => openExport(p.profileId)}>
                     Export
                   </button>
-                  <button type="button" className="btn-secondary" onClick={() => handleDelete(p.profileId)}>
+                  <button type="button" className="btn-secondary" onClick={() => openDelete(p.profileId)}>
                     Delete
                   </button>
                 </div>
@@ -204,6 +540,94 @@ function ProfileGate({ onProfileReady }) {
             </div>
           )}
 
+          {exportTarget && (
+            <form onSubmit={handleExport} style={{ display: 'grid', gap: 10, marginTop: 8 }}>
+              <h3 style={{ margin: 0 }}>Export “{exportTarget.name}”</h3>
+              {exportTarget.pinHash && (
+                <div className="form-group">
+                  <label htmlFor="exportPin">PIN</label>
+                  <input
+                    id="exportPin"
+                    type="password"
+                    inputMode="numeric"
+                    value={exportPin}
+                    onChange={(e) => setExportPin(e.target.value)}
+                    placeholder="Enter PIN"
+                    minLength={4}
+                    required
+                  />
+                </div>
+              )}
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={exportEncrypted}
+                  onChange={(e) => setExportEncrypted(e.target.checked)}
+                />
+                Encrypt with a passphrase
+              </label>
+              {exportEncrypted && (
+                <>
+                  <div className="form-group">
+                    <label htmlFor="exportPassphrase">Passphrase</label>
+                    <input
+                      id="exportPassphrase"
+                      type="password"
+                      value={exportPassphrase}
+                      onChange={(e) => setExportPassphrase(e.target.value)}
+                      placeholder={`At least ${MIN_PASSPHRASE_LENGTH} characters`}
+                      minLength={MIN_PASSPHRASE_LENGTH}
+                      autoComplete="new-password"
+                      required
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor="exportPassphraseConfirm">Confirm passphrase</label>
+                    <input
+                      id="exportPassphraseConfirm"
+                      type="password"
+                      value={exportPassphraseConfirm}
+                      onChange={(e) => setExportPassphraseConfirm(e.target.value)}
+                      minLength={MIN_PASSPHRASE_LENGTH}
+                      autoComplete="new-password"
+                      required
+                    />
+                  </div>
+                  <p style={{ opacity: 0.75, margin: 0 }}>
+                    The passphrase can't be recovered. Without it the file can't be imported.
+                  </p>
+                </>
+              )}
+              <div style={{ display: 'flex', gap: 8 }}>
+                <button className="btn-primary" type="submit" disabled={exporting}>
+                  {exporting ? 'Exporting...' : 'Download'}
+                </button>
+                <button className="btn-secondary" type="button" onClick={closeExport} disabled={exporting}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
+          {deleteTarget && (
+            <form onSubmit={handleDelete} style={{ display: 'grid', gap: 10, marginTop: 8 }}>
+              <h3 style={{ margin: 0 }}>Delete “{deleteTarget.name}”?</h3>
+              <p className="import-warning">
+                This removes all of its progress on this device. A snapshot is kept so it can be restored from this
+                screen.
+                {deleteTarget.pinHash && ' Restoring it will need this profile’s PIN.'}
+              </p>
+              <div style={{ display: 'flex', gap: 8 }}>
+                <button className="btn-secondary btn-danger" type="submit" disabled={deleting}>
+                  {deleting ? 'Deleting...' : 'Delete'}
+                </button>
+                <button className="btn-secondary" type="button" onClick={closeDelete} disabled={deleting}>
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
           {selectedProfile && selectedProfile.pinHash && (
             <form onSubmit={handleUnlock} style={{ display: 'grid', gap: 10, marginTop: 8 }}>
               <h3 style={{ margin: 0 }}>Unlock “{selectedProfile.name}”</h3>
@@ -220,8 +644,8 @@ function ProfileGate({ onProfileReady }) {
                   required
                 />
               </div>
-              <button className="btn-primary" type="submit">
-                Unlock
+              <button className="btn-primary" type="submit" disabled={retryAfterMs > 0}>
+                {retryAfterMs > 0 ? `Try again in ${formatRetryAfter(retryAfterMs)}` : 'Unlock'}
               </button>
             </form>
           )}
@@ -230,22 +654,211 @@ function ProfileGate({ onProfileReady }) {
 
           <div style={{ display: 'grid', gap: 10 }}>
             <h2>Import Profile</h2>
-            <input
-              type="file"
-              accept="application/json"
-              disabled={importing}
-              onChange={(e) => {
-                const file = e.target.files?.[0];
-                if (!file) return;
-                handleImportFile(file);
-                e.target.value = '';
-              }}
-            />
-            <p style={{ opacity: 0.75, margin: 0 }}>
-              Imports create a new local profile. PINs are not exported/imported.
-            </p>
+            {encryptedImport ? (
+              <form onSubmit={handleDecryptImport} className="import-preview">
+                <p style={{ margin: 0 }}>
+                  <strong>{encryptedImport.fileName}</strong> is encrypted.
+                </p>
+                <div className="form-group">
+                  <label htmlFor="importPassphrase">Passphrase</label>
+                  <input
+                    id="importPassphrase"
+                    type="password"
+                    value={importPassphrase}
+                    onChange={(e) => setImportPassphrase(e.target.value)}
+                    placeholder="Enter passphrase"
+                    autoComplete="off"
+                    required
+                  />
+                </div>
+                <div style={{ display: 'flex', gap: 8 }}>
+                  <button className="btn-primary" type="submit" disabled={importing}>
+                    {importing ? 'Decrypting...' : 'Decrypt'}
+                  </button>
+                  <button className="btn-secondary" type="button" onClick={cancelImport} disabled={importing}>
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            ) : !pendingImport ? (
+              <>
+                <input
+                  type="file"
+                  accept="application/json"
+                  disabled={importing}
+                  onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    if (!file) return;
+                    handleImportFile(file);
+                    e.target.value = '';
+                  }}
+                />
+                <p style={{ opacity: 0.75, margin: 0 }}>
+                  Import into a new profile or an existing one. PINs are not exported/imported; use an encrypted export to protect the file itself.
+                </p>
+              </>
+            ) : (
+              <form onSubmit={handleConfirmImport} className="import-preview">
+                <p style={{ margin: 0 }}>
+                  <strong>{pendingImport.fileName}</strong>: “{importPreview?.profile.name || pendingImport.data.profile?.name}”
+                  {importPreview && <> exported {new Date(importPreview.exportedAt).toLocaleString()}</>}
+                </p>
+
+                <div className="import-strategies">
+                  {[
+                    ['new', 'Create a new profile'],
+                    ['merge', 'Merge into an existing profile'],
+                    ['replace', 'Replace an existing profile'],
+                  ].map(([value, label]) => (
+                    <label key={value}>
+                      <input
+                        type="radio"
+                        name="importStrategy"
+                        value={value}
+                        checked={importStrategy === value}
+                        disabled={value !== 'new' && profiles.length === 0}
+                        onChange={() => setImportStrategy(value)}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+
+                {importStrategy !== 'new' && (
+                  <div className="form-group">
+                    <label htmlFor="importTarget">Profile</label>
+                    <select
+                      id="importTarget"
+                      value={importTargetId}
+                      onChange={(e) => {
+                        relockImportTarget();
+                        setImportTargetId(e.target.value);
+                        setImportPin('');
+                      }}
+                    >
+                      {profiles.map((p) => (
+                        <option key={p.profileId} value={p.profileId}>
+                          {p.name}
+                          {p.pinHash ? ' 🔒' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                {importTargetLocked && (
+                  <div className="form-group">
+                    <label htmlFor="importPin">PIN for “{importTarget.name}”</label>
+                    <input
+                      id="importPin"
+                      type="password"
+                      inputMode="numeric"
+                      value={importPin}
+                      onChange={(e) => setImportPin(e.target.value)}
+                      placeholder="Enter PIN"
+                      minLength={4}
+                      required
+                    />
+                  </div>
+                )}
+
+                {importPreview && (
+                  <table className="import-summary">
+                    <thead>
+                      <tr>
+                        <th></th>
+                        <th>Added</th>
+                        <th>Updated</th>
+                        <th>Unchanged</th>
+                        <th>Removed</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {Object.entries(SECTION_LABELS).map(([section, label]) => {
+                        const counts = importPreview.plan.summary[section];
+                        return (
+                          <tr key={section}>
+                            <td>{label}</td>
+                            <td>{counts.added}</td>
+                            <td>{counts.updated}</td>
+                            <td>{counts.unchanged}</td>
+                            <td className={counts.removed ? 'removed' : ''}>{counts.removed}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                )}
+
+                {importStrategy === 'replace' && importTarget && (
+                  <p className="import-warning">
+                    Everything currently saved in “{importTarget.name}” will be replaced. Its PIN is kept.
+                  </p>
+                )}
+
+                <div style={{ display: 'flex', gap: 8 }}>
+                  <button
+                    className="btn-primary"
+                    type="submit"
+                    disabled={importing || (!importPreview && !importTargetLocked)}
+                  >
+                    {importing ? 'Working...' : importTargetLocked ? 'Unlock to preview' : 'Import'}
+                  </button>
+                  <button className="btn-secondary" type="button" onClick={cancelImport} disabled={importing}>
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            )}
           </div>
 
+          {orphanedSnapshots.length > 0 && (
+            <>
+              <div className="nav-divider"></div>
+
+              <div style={{ display: 'grid', gap: 10 }}>
+                <h2>Restore from Snapshot</h2>
+                <p style={{ opacity: 0.75, margin: 0 }}>Snapshots of deleted profiles. Restoring creates the profile again.</p>
+                <SnapshotList
+                  snapshots={orphanedSnapshots}
+                  onRestore={openRestore}
+                  disabled={restoring}
+                  showName
+                />
+                {restoreTarget && (
+                  <form onSubmit={handleRestore} className="import-preview">
+                    <p style={{ margin: 0 }}>
+                      Restore “{restoreTarget.profileName}” as it was on {new Date(restoreTarget.createdAt).toLocaleString()}?
+                    </p>
+                    {restoreTarget.encrypted && (
+                      <div className="form-group">
+                        <label htmlFor="restorePin">PIN the profile had</label>
+                        <input
+                          id="restorePin"
+                          type="password"
+                          inputMode="numeric"
+                          value={restorePin}
+                          onChange={(e) => setRestorePin(e.target.value)}
+                          placeholder="Enter PIN"
+                          minLength={4}
+                          required
+                        />
+                      </div>
+                    )}
+                    <div style={{ display: 'flex', gap: 8 }}>
+                      <button className="btn-primary" type="submit" disabled={restoring}>
+                        {restoring ? 'Restoring...' : 'Restore'}
+                      </button>
+                      <button className="btn-secondary" type="button" onClick={closeRestore} disabled={restoring}>
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                )}
+              </div>
+            </>
+          )}
+
           <div className="nav-divider"></div>
 
           <form onSubmit={handleCreate} style={{ display: 'grid', gap: 10 }}>
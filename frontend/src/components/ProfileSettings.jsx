@@ -0,0 +1,441 @@
+import { useEffect, useState } from 'react';
+import {
+  clearProfilePin,
+  getProfile,
+  renameProfile,
+  setProfilePin,
+} from '../storage/profiles';
+import { attemptProfilePin, formatRetryAfter } from '../storage/pinAttempts';
+import { IDLE_LOCK_OPTIONS } from '../storage/profileSettings';
+import {
+  formatBytes,
+  getProfileStorageUsage,
+  getStorageHealth,
+  requestPersistentStorage,
+} from '../storage/usage';
+import { listSnapshots, restoreSnapshot, takeSnapshot } from '../storage/snapshots';
+import { isIndexedDbBackend } from '../storage/repositories';
+import SnapshotList from './SnapshotList';
+
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString() : '—';
+}
+
+function ProfileSettings({ profile, settings, onProfileUpdated, onSettingsChange, onDataRestored }) {
+  const hasPin = Boolean(profile.pinHash);
+  // On the in-memory fallback nothing outlives the tab
+  const persistent = isIndexedDbBackend();
+
+  const [name, setName] = useState(profile.name);
+  const [nameStatus, setNameStatus] = useState(null);
+
+  const [currentPin, setCurrentPin] = useState('');
+  const [newPin, setNewPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [pinStatus, setPinStatus] = useState(null);
+  const [savingPin, setSavingPin] = useState(false);
+
+  const [usage, setUsage] = useState(null);
+  const [storageHealth, setStorageHealth] = useState(null);
+  const [persistStatus, setPersistStatus] = useState(null);
+
+  const [snapshots, setSnapshots] = useState([]);
+  // Snapshot awaiting confirmation (and the PIN it was taken with, if encrypted)
+  const [restoreTarget, setRestoreTarget] = useState(null);
+  const [restorePin, setRestorePin] = useState('');
+  const [snapshotStatus, setSnapshotStatus] = useState(null);
+  const [snapshotBusy, setSnapshotBusy] = useState(false);
+
+  useEffect(() => {
+    setName(profile.name);
+  }, [profile.name]);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const [profileUsage, health] = await Promise.all([
+          getProfileStorageUsage(profile.profileId),
+          persistent ? getStorageHealth() : null,
+        ]);
+        if (cancelled) return;
+        setUsage(profileUsage);
+        setStorageHealth(health);
+      } catch (error) {
+        console.error('Failed to load storage usage:', error);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [profile.profileId, profile.updatedAt]);
+
+  const refreshSnapshots = async () => {
+    try {
+      setSnapshots(await listSnapshots(profile.profileId));
+    } catch (error) {
+      console.error('Failed to load snapshots:', error);
+    }
+  };
+
+  useEffect(() => {
+    refreshSnapshots();
+  }, [profile.profileId]);
+
+  const handlePersist = async () => {
+    setPersistStatus(null);
+    const persisted = await requestPersistentStorage();
+    setStorageHealth((prev) => ({ ...prev, persisted }));
+    if (!persisted) {
+      setPersistStatus({
+        ok: false,
+        message: 'The browser declined. Installing the app or bookmarking it can help; until then, export backups regularly.',
+      });
+    }
+  };
+
+  const resetPinForm = () => {
+    setCurrentPin('');
+    setNewPin('');
+    setConfirmPin('');
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    setNameStatus(null);
+    try {
+      const updated = await renameProfile(profile.profileId, name);
+      onProfileUpdated(updated);
+      setNameStatus({ ok: true, message: 'Name saved' });
+    } catch (err) {
+      setNameStatus({ ok: false, message: err.message || 'Failed to rename profile' });
+    }
+  };
+
+  // Every PIN change re-checks the current PIN, so an unlocked but unattended
+  // profile can't be taken over
+  const checkCurrentPin = async () => {
+    if (!hasPin) return true;
+    const attempt = await attemptProfilePin(profile.profileId, currentPin);
+    if (!attempt.ok) {
+      setPinStatus({
+        ok: false,
+        message:
+          attempt.retryAfterMs > 0
+            ? `Current PIN is incorrect. Too many attempts; try again in ${formatRetryAfter(attempt.retryAfterMs)}.`
+            : 'Current PIN is incorrect',
+      });
+    }
+    return attempt.ok;
+  };
+
+  const handleSetPin = async (e) => {
+    e.preventDefault();
+    setPinStatus(null);
+    if (newPin !== confirmPin) {
+      setPinStatus({ ok: false, message: 'New PINs do not match' });
+      return;
+    }
+    setSavingPin(true);
+    try {
+      if (!(await checkCurrentPin())) return;
+      await setProfilePin(profile.profileId, newPin);
+      onProfileUpdated(await getProfile(profile.profileId));
+      resetPinForm();
+      setPinStatus({ ok: true, message: hasPin ? 'PIN changed' : 'PIN set' });
+    } catch (err) {
+      setPinStatus({ ok: false, message: err.message || 'Failed to update PIN' });
+    } finally {
+      setSavingPin(false);
+    }
+  };
+
+  const handleRemovePin = async () => {
+    setPinStatus(null);
+    if (!currentPin) {
+      setPinStatus({ ok: false, message: 'Enter your current PIN to remove it' });
+      return;
+    }
+    setSavingPin(true);
+    try {
+      if (!(await checkCurrentPin())) return;
+      const updated = await clearProfilePin(profile.profileId);
+      onProfileUpdated(updated);
+      resetPinForm();
+      setPinStatus({ ok: true, message: 'PIN removed' });
+    } catch (err) {
+      setPinStatus({ ok: false, message: err.message || 'Failed to remove PIN' });
+    } finally {
+      setSavingPin(false);
+    }
+  };
+
+  const handleTakeSnapshot = async () => {
+    setSnapshotStatus(null);
+    setSnapshotBusy(true);
+    try {
+      await takeSnapshot(profile.profileId, 'manual');
+      await refreshSnapshots();
+      setSnapshotStatus({ ok: true, message: 'Snapshot saved' });
+    } catch (err) {
+      setSnapshotStatus({ ok: false, message: err.message || 'Failed to take snapshot' });
+    } finally {
+      setSnapshotBusy(false);
+    }
+  };
+
+  const openRestore = (snapshot) => {
+    setSnapshotStatus(null);
+    setRestoreTarget(snapshot);
+    setRestorePin('');
+  };
+
+  const handleRestore = async (e) => {
+    e.preventDefault();
+    if (!restoreTarget) return;
+    setSnapshotStatus(null);
+    setSnapshotBusy(true);
+    try {
+      await restoreSnapshot(restoreTarget.id, { pin: restoreTarget.encrypted ? restorePin : null });
+      onProfileUpdated(await getProfile(profile.profileId));
+      onDataRestored();
+      setRestoreTarget(null);
+      setRestorePin('');
+      await refreshSnapshots();
+      setSnapshotStatus({ ok: true, message: 'Snapshot restored' });
+    } catch (err) {
+      setSnapshotStatus({ ok: false, message: err.message || 'Failed to restore snapshot' });
+    } finally {
+      setSnapshotBusy(false);
+    }
+  };
+
+  const statusMessage = (status) =>
+    status && (
+      <div className={status.ok ? 'success-message' : 'error-message'}>{status.message}</div>
+    );
+
+  return (
+    <div className="settings-page">
+      <header className="dashboard-header">
+        <h1>Profile Settings</h1>
+        <p>Manage “{profile.name}” on this device</p>
+      </header>
+
+      <section className="settings-section">
+        <h2>Name</h2>
+        {statusMessage(nameStatus)}
+        <form onSubmit={handleRename} className="settings-form">
+          <div className="form-group">
+            <label htmlFor="settingsName">Profile name</label>
+            <input
+              id="settingsName"
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              minLength={1}
+              required
+            />
+          </div>
+          <button className="btn-secondary" type="submit" disabled={name.trim() === profile.name}>
+            Save Name
+          </button>
+        </form>
+      </section>
+
+      <section className="settings-section">
+        <h2>PIN</h2>
+        <p className="settings-note">
+          {hasPin
+            ? 'This profile is locked with a PIN. Enter the current PIN to change or remove it.'
+            : 'This profile has no PIN. Anyone using this device can open it.'}
+        </p>
+        {statusMessage(pinStatus)}
+        <form onSubmit={handleSetPin} className="settings-form">
+          {hasPin && (
+            <div className="form-group">
+              <label htmlFor="currentPin">Current PIN</label>
+              <input
+                id="currentPin"
+                type="password"
+                inputMode="numeric"
+                value={currentPin}
+                onChange={(e) => setCurrentPin(e.target.value)}
+                autoComplete="current-password"
+              />
+            </div>
+          )}
+          <div className="form-group">
+            <label htmlFor="newPin">{hasPin ? 'New PIN' : 'PIN'}</label>
+            <input
+              id="newPin"
+              type="password"
+              inputMode="numeric"
+              value={newPin}
+              onChange={(e) => setNewPin(e.target.value)}
+              minLength={4}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="confirmPin">Confirm {hasPin ? 'new PIN' : 'PIN'}</label>
+            <input
+              id="confirmPin"
+              type="password"
+              inputMode="numeric"
+              value={confirmPin}
+              onChange={(e) => setConfirmPin(e.target.value)}
+              minLength={4}
+              autoComplete="new-password"
+              required
+            />
+          </div>
+          <div className="settings-actions">
+            <button className="btn-secondary" type="submit" disabled={savingPin}>
+              {hasPin ? 'Change PIN' : 'Set PIN'}
+            </button>
+            {hasPin && (
+              <button className="btn-secondary btn-danger" type="button" onClick={handleRemovePin} disabled={savingPin}>
+                Remove PIN
+              </button>
+            )}
+          </div>
+        </form>
+
+        <div className="form-group settings-form" style={{ marginTop: '1.5rem', marginBottom: 0 }}>
+          <label htmlFor="idleLock">Auto-lock after inactivity</label>
+          <select
+            id="idleLock"
+            value={settings.idleLockMinutes}
+            onChange={(e) => onSettingsChange({ idleLockMinutes: Number(e.target.value) })}
+            disabled={!hasPin}
+          >
+            {IDLE_LOCK_OPTIONS.map((minutes) => (
+              <option key={minutes} value={minutes}>
+                {minutes === 0 ? 'Never' : `${minutes} minute${minutes === 1 ? '' : 's'}`}
+              </option>
+            ))}
+          </select>
+        </div>
+        {!hasPin && <p className="settings-note" style={{ margin: '0.5rem 0 0' }}>Set a PIN to enable auto-lock.</p>}
+      </section>
+
+      <section className="settings-section">
+        <h2>Snapshots</h2>
+        <p className="settings-note">
+          A copy of this profile is kept once a day and before every import, restore or delete. The latest 7 daily
+          and 10 other snapshots are kept.
+        </p>
+        {statusMessage(snapshotStatus)}
+        <SnapshotList snapshots={snapshots} onRestore={openRestore} disabled={snapshotBusy} />
+        {restoreTarget ? (
+          <form onSubmit={handleRestore} className="settings-form" style={{ marginTop: '1rem' }}>
+            <p className="import-warning">
+              Replace everything in “{profile.name}” with the snapshot from{' '}
+              {new Date(restoreTarget.createdAt).toLocaleString()}? A snapshot of the current data is taken first.
+            </p>
+            {restoreTarget.encrypted && (
+              <div className="form-group">
+                <label htmlFor="restorePin">PIN when the snapshot was taken</label>
+                <input
+                  id="restorePin"
+                  type="password"
+                  inputMode="numeric"
+                  value={restorePin}
+                  onChange={(e) => setRestorePin(e.target.value)}
+                  minLength={4}
+                  required
+                />
+              </div>
+            )}
+            <div className="settings-actions">
+              <button className="btn-secondary btn-danger" type="submit" disabled={snapshotBusy}>
+                {snapshotBusy ? 'Restoring…' : 'Restore'}
+              </button>
+              <button className="btn-secondary" type="button" onClick={() => setRestoreTarget(null)} disabled={snapshotBusy}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="settings-actions" style={{ marginTop: '1rem' }}>
+            <button className="btn-secondary" type="button" onClick={handleTakeSnapshot} disabled={snapshotBusy}>
+              Take Snapshot Now
+            </button>
+          </div>
+        )}
+      </section>
+
+      <section className="settings-section">
+        <h2>Details</h2>
+        <dl className="settings-details">
+          <dt>Created</dt>
+          <dd>{formatDate(profile.createdAt)}</dd>
+          <dt>Last updated</dt>
+          <dd>{formatDate(profile.updatedAt)}</dd>
+        </dl>
+      </section>
+
+      <section className="settings-section">
+        <h2>Storage</h2>
+        {!persistent && (
+          <p className="settings-note">
+            Browser storage isn’t available, so this profile only lasts until the tab is closed.
+          </p>
+        )}
+        {!usage ? (
+          <p className="settings-note">Calculating…</p>
+        ) : (
+          <>
+            <table className="import-summary">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>Items</th>
+                  <th>Size</th>
+                </tr>
+              </thead>
+              <tbody>
+                {usage.sections.map((s) => (
+                  <tr key={s.store}>
+                    <td>{s.label}</td>
+                    <td>{s.count}</td>
+                    <td>{formatBytes(s.bytes)}</td>
+                  </tr>
+                ))}
+                <tr>
+                  <td>Total for this profile</td>
+                  <td></td>
+                  <td>{formatBytes(usage.totalBytes)}</td>
+                </tr>
+              </tbody>
+            </table>
+            {storageHealth?.usage != null && (
+              <p className="settings-note">
+                The whole app (all profiles and offline files) uses {formatBytes(storageHealth.usage)}
+                {storageHealth.quota > 0 && <> of {formatBytes(storageHealth.quota)} available</>}.
+              </p>
+            )}
+            {storageHealth?.persisted === true && (
+              <p className="settings-note">Storage is persistent: the browser won’t clear it to free up space.</p>
+            )}
+            {storageHealth?.persisted === false && (
+              <>
+                <p className="settings-note">
+                  Storage isn’t persistent, so the browser may clear it when space runs low.
+                </p>
+                {statusMessage(persistStatus)}
+                <button className="btn-secondary" type="button" onClick={handlePersist}>
+                  Keep Data Persistently
+                </button>
+              </>
+            )}
+          </>
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default ProfileSettings;
@@ -1,49 +1,53 @@
 import { useState, useEffect } from 'react';
+import { clearQuizDraft, getQuizDraft, saveQuizDraft } from '../storage/quizDrafts';
+import { useUnsavedWork } from '../hooks/useUnsavedWork';
 
-function Quiz({ questions, quizId, previousResult, onSubmit }) {
-  const storageKey = `quiz-answers-${quizId}`;
-  
+function Quiz({ profileId, questions, quizId, previousResult, onSubmit }) {
   const [answers, setAnswers] = useState({});
   const [submitted, setSubmitted] = useState(false);
   const [score, setScore] = useState(null);
+  // Don't save until this profile's saved state has been restored
+  const [draftLoaded, setDraftLoaded] = useState(false);
 
-  // Load saved answers from localStorage on mount
+  // A quiz in progress holds off app updates until it's submitted
+  useUnsavedWork(!submitted && Object.keys(answers).length > 0);
+
+  // Restore the active profile's answers for this quiz
   useEffect(() => {
-    try {
-      const saved = localStorage.getItem(storageKey);
-      if (saved) {
-        const parsed = JSON.parse(saved);
+    let cancelled = false;
+    setDraftLoaded(false);
+    getQuizDraft(profileId, quizId)
+      .then((saved) => {
+        if (cancelled || !saved) return;
         // Restore if the number of questions matches
-        if (parsed.answers && Object.keys(parsed.answers).length <= questions.length) {
-          setAnswers(parsed.answers);
-          if (parsed.submitted) {
+        if (Object.keys(saved.answers).length <= questions.length) {
+          setAnswers(saved.answers);
+          if (saved.submitted) {
             setSubmitted(true);
-            setScore(parsed.score);
+            setScore(saved.score);
           }
         }
-      }
-    } catch (e) {
-      console.error('Failed to load saved quiz answers:', e);
-    }
-  }, [storageKey, questions.length]);
-
-  // Save answers to localStorage whenever they change (including after submission)
+      })
+      .catch((e) => console.error('Failed to load saved quiz answers:', e))
+      .finally(() => {
+        if (!cancelled) setDraftLoaded(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [profileId, quizId, questions.length]);
+
+  // Save answers whenever they change (including after submission)
   useEffect(() => {
-    if (Object.keys(answers).length > 0) {
-      try {
-        localStorage.setItem(storageKey, JSON.stringify({
-          answers,
-          submitted,
-          score
-        }));
-      } catch (e) {
-        console.error('Failed to save quiz answers:', e);
-      }
+    if (draftLoaded && Object.keys(answers).length > 0) {
+      saveQuizDraft(profileId, quizId, { answers, submitted, score }).catch((e) =>
+        console.error('Failed to save quiz answers:', e)
+      );
     }
-  }, [answers, submitted, score, storageKey]);
+  }, [answers, submitted, score, draftLoaded, profileId, quizId]);
 
   const handleAnswer = (questionIndex, answerIndex) => {
-    if (submitted) return;
+    if (submitted || !draftLoaded) return;
     setAnswers(prev => ({
       ...prev,
       [questionIndex]: answerIndex
@@ -61,7 +65,7 @@ function Quiz({ questions, quizId, previousResult, onSubmit }) {
     setScore(correct);
     setSubmitted(true);
     onSubmit(correct, questions.length, answers);
-    // State will be saved to localStorage via useEffect
+    // State will be saved via useEffect
   };
 
   const handleRetry = () => {
@@ -70,11 +74,7 @@ function Quiz({ questions, quizId, previousResult, onSubmit }) {
     setScore(null);
     
     // Clear saved answers on retry
-    try {
-      localStorage.removeItem(storageKey);
-    } catch (e) {
-      console.error('Failed to clear saved quiz answers:', e);
-    }
+    clearQuizDraft(profileId, quizId).catch((e) => console.error('Failed to clear saved quiz answers:', e));
   };
 
   const allAnswered = Object.keys(answers).length === questions.length;
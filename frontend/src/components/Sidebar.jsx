@@ -1,7 +1,16 @@
 import { NavLink, useLocation } from 'react-router-dom';
 import { useState } from 'react';
 
-function Sidebar({ isOpen, onToggle, structure, progress, quizResults, profile, onSwitchProfile }) {
+function Sidebar({
+  isOpen,
+  onToggle,
+  structure,
+  progress,
+  quizResults,
+  exerciseResults,
+  profile,
+  onSwitchProfile,
+}) {
   const [expandedPhases, setExpandedPhases] = useState({ phase1: true });
   const location = useLocation();
 
@@ -17,6 +26,11 @@ function Sidebar({ isOpen, onToggle, structure, progress, quizResults, profile,
     return progress[id]?.completed || false;
   };
 
+  const isExerciseSolved = (phaseId, moduleId, lessonId) => {
+    const id = `${phaseId}-${moduleId}-${lessonId}-exercise`;
+    return exerciseResults[id]?.passed || false;
+  };
+
   const getModuleProgress = (phaseId, module) => {
     const completed = module.lessons.filter(lesson => 
       getLessonProgress(phaseId, module.id, lesson.id)
@@ -98,6 +112,7 @@ function Sidebar({ isOpen, onToggle, structure, progress, quizResults, profile,
                           <ul className="lesson-list">
                             {module.lessons.map(lesson => {
                               const isComplete = getLessonProgress(phase.id, module.id, lesson.id);
+                              const exerciseSolved = isExerciseSolved(phase.id, module.id, lesson.id);
                               const path = `/lesson/${phase.id}/${module.id}/${lesson.id}`;
                               const isActive = location.pathname === path;
                               
@@ -111,6 +126,11 @@ function Sidebar({ isOpen, onToggle, structure, progress, quizResults, profile,
                                       {isComplete ? '✓' : '○'}
                                     </span>
                                     <span className="lesson-title">{lesson.title}</span>
+                                    {exerciseSolved && (
+                                      <span className="lesson-exercise-badge" title="Exercise solved">
+                                        {'</>'}
+                                      </span>
+                                    )}
                                   </NavLink>
                                 </li>
                               );
@@ -131,9 +151,18 @@ function Sidebar({ isOpen, onToggle, structure, progress, quizResults, profile,
             <span className="user-avatar">👤</span>
             <span className="user-name">{profile?.name}</span>
           </div>
-          <button onClick={onSwitchProfile} className="logout-btn">
-            Switch Profile
-          </button>
+          <div className="sidebar-footer-actions">
+            <NavLink
+              to="/settings"
+              className={({ isActive }) => `logout-btn ${isActive ? 'active' : ''}`}
+              title="Profile settings"
+            >
+              ⚙ Settings
+            </NavLink>
+            <button onClick={onSwitchProfile} className="logout-btn">
+              Switch Profile
+            </button>
+          </div>
         </div>
       </aside>
     </>
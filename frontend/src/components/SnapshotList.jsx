@@ -0,0 +1,45 @@
+import { SNAPSHOT_REASONS } from '../storage/snapshots';
+
+// Table of snapshots with a Restore button per row. `showName` adds the
+// profile name column (for snapshots of deleted profiles).
+function SnapshotList({ snapshots, onRestore, disabled = false, showName = false }) {
+  if (snapshots.length === 0) {
+    return <p className="settings-note">No snapshots yet.</p>;
+  }
+
+  return (
+    <table className="import-summary snapshot-list">
+      <thead>
+        <tr>
+          {showName && <th>Profile</th>}
+          <th>Taken</th>
+          <th>Reason</th>
+          <th>Lessons done</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        {snapshots.map((s) => (
+          <tr key={s.id}>
+            {showName && (
+              <td>
+                {s.profileName}
+                {s.encrypted ? ' 🔒' : ''}
+              </td>
+            )}
+            <td>{new Date(s.createdAt).toLocaleString()}</td>
+            <td>{SNAPSHOT_REASONS[s.reason] || s.reason}</td>
+            <td>{s.lessonCount ?? '—'}</td>
+            <td>
+              <button type="button" className="btn-secondary" onClick={() => onRestore(s)} disabled={disabled}>
+                Restore
+              </button>
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+export default SnapshotList;
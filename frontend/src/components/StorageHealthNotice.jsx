@@ -0,0 +1,170 @@
+import { useEffect, useState } from 'react';
+import { exportProfileData } from '../storage/exportImport';
+import { encryptExport, MIN_PASSPHRASE_LENGTH } from '../storage/encryptedExport';
+import { formatBytes, getStorageHealth } from '../storage/usage';
+import { downloadJson, exportFileName } from '../utils/download';
+
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+// Dismissing hides a warning for the rest of the browser session
+const DISMISSED_KEY = 'storage-warning-dismissed';
+
+function warningFor(health) {
+  if (!health) return null;
+  if (health.nearQuota) {
+    return {
+      kind: 'quota',
+      message: `Storage is almost full (${formatBytes(health.usage)} of ${formatBytes(health.quota)}). New progress may fail to save.`,
+    };
+  }
+  if (health.persisted === false) {
+    return {
+      kind: 'persist',
+      message: 'Your browser may clear this app’s data when space runs low. Export a backup to keep your progress safe.',
+    };
+  }
+  return null;
+}
+
+// Warns when the browser hasn't granted persistent storage or the quota is
+// nearly used up, with an export of the open profile. A PIN profile's backup
+// is passphrase-encrypted by default, as on the profile screen.
+function StorageHealthNotice({ profile }) {
+  const [health, setHealth] = useState(null);
+  const [dismissed, setDismissed] = useState(() => sessionStorage.getItem(DISMISSED_KEY));
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState('');
+  // Passphrase form, only shown for PIN profiles
+  const [askPassphrase, setAskPassphrase] = useState(false);
+  const [encrypted, setEncrypted] = useState(true);
+  const [passphrase, setPassphrase] = useState('');
+  const [passphraseConfirm, setPassphraseConfirm] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    const check = async () => {
+      const next = await getStorageHealth();
+      if (!cancelled) setHealth(next);
+    };
+    check();
+    const id = setInterval(check, CHECK_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(id);
+    };
+  }, []);
+
+  const warning = warningFor(health);
+  if (!warning || dismissed === warning.kind) return null;
+
+  const closePassphrase = () => {
+    setAskPassphrase(false);
+    setPassphrase('');
+    setPassphraseConfirm('');
+    setExportError('');
+  };
+
+  const runExport = async (withPassphrase) => {
+    setExporting(true);
+    setExportError('');
+    try {
+      const data = await exportProfileData(profile.profileId);
+      if (withPassphrase) {
+        downloadJson(exportFileName(data.profile.name, true), await encryptExport(data, withPassphrase));
+      } else {
+        downloadJson(exportFileName(data.profile.name), data);
+      }
+      closePassphrase();
+    } catch (error) {
+      console.error('Failed to export profile:', error);
+      setExportError(error.message || 'Export failed');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleExport = () => {
+    if (profile.pinHash) {
+      setEncrypted(true);
+      setAskPassphrase(true);
+      return;
+    }
+    runExport(null);
+  };
+
+  const handleEncryptedExport = (e) => {
+    e.preventDefault();
+    if (encrypted && passphrase !== passphraseConfirm) {
+      setExportError('Passphrases do not match');
+      return;
+    }
+    runExport(encrypted ? passphrase : null);
+  };
+
+  const handleDismiss = () => {
+    sessionStorage.setItem(DISMISSED_KEY, warning.kind);
+    setDismissed(warning.kind);
+  };
+
+  return (
+    <div className="storage-warning" role="status">
+      <span>{warning.message}</span>
+      <div className="settings-actions">
+        <button className="btn-secondary" onClick={handleExport} disabled={exporting}>
+          {exporting ? 'Exporting…' : 'Export Backup'}
+        </button>
+        <button className="btn-secondary" onClick={handleDismiss}>
+          Dismiss
+        </button>
+      </div>
+      {askPassphrase && (
+        <form onSubmit={handleEncryptedExport} className="storage-warning-export">
+          <label className="checkbox-label">
+            <input type="checkbox" checked={encrypted} onChange={(e) => setEncrypted(e.target.checked)} />
+            Encrypt with a passphrase
+          </label>
+          {encrypted && (
+            <>
+              <div className="form-group">
+                <label htmlFor="backupPassphrase">Passphrase</label>
+                <input
+                  id="backupPassphrase"
+                  type="password"
+                  value={passphrase}
+                  onChange={(e) => setPassphrase(e.target.value)}
+                  placeholder={`At least ${MIN_PASSPHRASE_LENGTH} characters`}
+                  minLength={MIN_PASSPHRASE_LENGTH}
+                  autoComplete="new-password"
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="backupPassphraseConfirm">Confirm passphrase</label>
+                <input
+                  id="backupPassphraseConfirm"
+                  type="password"
+                  value={passphraseConfirm}
+                  onChange={(e) => setPassphraseConfirm(e.target.value)}
+                  minLength={MIN_PASSPHRASE_LENGTH}
+                  autoComplete="new-password"
+                  required
+                />
+              </div>
+            </>
+          )}
+          {exportError && <p className="error-message">{exportError}</p>}
+          <div className="settings-actions">
+            <button className="btn-secondary" type="submit" disabled={exporting}>
+              {exporting ? 'Exporting…' : 'Download'}
+            </button>
+            <button className="btn-secondary" type="button" onClick={closePassphrase} disabled={exporting}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+      {!askPassphrase && exportError && <p className="error-message">{exportError}</p>}
+    </div>
+  );
+}
+
+export default StorageHealthNotice;
@@ -0,0 +1,58 @@
+import { useState, useEffect } from 'react';
+import { subscribeDbEvents } from '../storage/db';
+import { getStorageBackend } from '../storage/repositories';
+
+const MESSAGES = {
+  blocked: 'Finishing a storage update. Close other tabs of this app to continue.',
+  outdated: 'This app was updated in another tab. Reload to keep saving your progress.',
+  terminated: 'Lost access to local storage. Reload to keep saving your progress.',
+  memory:
+    'Browser storage is unavailable (private browsing?), so profiles, progress and quiz results are only kept until this tab closes. Export your profile to keep it.',
+};
+
+// Dismissing the in-memory notice lasts as long as the data it warns about
+let memoryNoticeDismissed = false;
+
+// Banner for IndexedDB connection problems, e.g. a schema upgrade in another
+// tab, or for running on the in-memory fallback
+function StorageNotice() {
+  const [eventType, setEventType] = useState(null);
+  const [memoryDismissed, setMemoryDismissed] = useState(memoryNoticeDismissed);
+
+  useEffect(
+    () => subscribeDbEvents((event) => setEventType(event.type === 'open' ? null : event.type)),
+    []
+  );
+
+  const dismissMemoryNotice = () => {
+    memoryNoticeDismissed = true;
+    setMemoryDismissed(true);
+  };
+
+  const inMemory = getStorageBackend().kind === 'memory' && !memoryDismissed;
+  if (!eventType && !inMemory) return null;
+
+  if (!eventType) {
+    return (
+      <div className="storage-notice" role="alert">
+        <span>{MESSAGES.memory}</span>
+        <button className="btn-secondary" onClick={dismissMemoryNotice}>
+          Dismiss
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="storage-notice" role="alert">
+      <span>{MESSAGES[eventType]}</span>
+      {eventType !== 'blocked' && (
+        <button className="btn-secondary" onClick={() => window.location.reload()}>
+          Reload
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default StorageNotice;
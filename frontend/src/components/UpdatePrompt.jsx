@@ -0,0 +1,83 @@
+import { useEffect, useState } from 'react';
+import { useRegisterSW } from 'virtual:pwa-register/react';
+import { courseManifest } from '../content/structure';
+import { COURSE_MANIFEST_FILE, diffCourseManifests } from '../content/courseManifest';
+import { useHasUnsavedWork } from '../hooks/useUnsavedWork';
+
+const MAX_CHANGELOG_ITEMS = 5;
+
+// What the waiting version adds or changes, from the lesson list deployed with
+// it (not precached, so this needs the network). Null when it can't be loaded.
+async function fetchChangelog() {
+  const res = await fetch(`${import.meta.env.BASE_URL}${COURSE_MANIFEST_FILE}`, { cache: 'no-store' });
+  if (!res.ok) return null;
+  const { added, changed } = diffCourseManifests(courseManifest, await res.json());
+  return [
+    ...added.map((lesson) => ({ ...lesson, label: 'New' })),
+    ...changed.map((lesson) => ({ ...lesson, label: 'Updated' })),
+  ];
+}
+
+// Toast shown when a new version has been downloaded. It only takes over
+// (reloading the page) when the learner says so, and not while a quiz or
+// exercise has work a reload would lose.
+function UpdatePrompt() {
+  const {
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker,
+  } = useRegisterSW({
+    onRegisterError(error) {
+      console.error('Failed to register service worker:', error);
+    },
+  });
+  const hasUnsavedWork = useHasUnsavedWork();
+  const [changelog, setChangelog] = useState(null);
+
+  useEffect(() => {
+    if (!needRefresh) return undefined;
+    let cancelled = false;
+    fetchChangelog()
+      .then((items) => {
+        if (!cancelled) setChangelog(items);
+      })
+      .catch((error) => console.error('Failed to load changelog:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [needRefresh]);
+
+  if (!needRefresh) return null;
+
+  const shown = changelog?.slice(0, MAX_CHANGELOG_ITEMS) || [];
+  const more = (changelog?.length || 0) - shown.length;
+
+  return (
+    <div className="update-toast" role="status">
+      <strong>New version available</strong>
+      {shown.length > 0 && (
+        <ul className="update-changelog">
+          {shown.map((lesson) => (
+            <li key={lesson.path}>
+              <span className="update-label">{lesson.label}</span> {lesson.title}
+              <span className="update-module"> · {lesson.module}</span>
+            </li>
+          ))}
+          {more > 0 && <li>…and {more} more</li>}
+        </ul>
+      )}
+      {hasUnsavedWork && (
+        <p className="update-note">Submit your quiz or run your code first; updating reloads the page.</p>
+      )}
+      <div className="settings-actions">
+        <button className="btn-primary" onClick={() => updateServiceWorker(true)} disabled={hasUnsavedWork}>
+          Update
+        </button>
+        <button className="btn-secondary" onClick={() => setNeedRefresh(false)}>
+          Later
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default UpdatePrompt;
@@ -0,0 +1,46 @@
+// A flat list of the course's lessons, written to course-manifest.json at
+// build time so a running app can tell what a newer deployment changes.
+
+export const COURSE_MANIFEST_FILE = 'course-manifest.json';
+
+// `hashes` maps 'phase/module/lesson' to a hash of that lesson's compiled
+// file (see scripts/course-content.js), so edits to its text, exercise or
+// quiz count as changes too.
+export function buildCourseManifest(structure, hashes = {}) {
+  const lessons = [];
+  for (const phase of structure) {
+    for (const module of phase.modules) {
+      for (const lesson of module.lessons) {
+        const path = `${phase.id}/${module.id}/${lesson.id}`;
+        lessons.push({
+          path,
+          title: lesson.title,
+          module: module.title,
+          hash: hashes[path] ?? null,
+        });
+      }
+    }
+  }
+  return { lessons };
+}
+
+// Lessons in `next` that are missing from `prev` (added) or whose title,
+// module or content changed. A manifest from before hashes were recorded
+// only compares titles and modules. Returns { added: [lesson], changed: [lesson] }.
+export function diffCourseManifests(prev, next) {
+  const before = new Map(prev.lessons.map((l) => [l.path, l]));
+  const added = [];
+  const changed = [];
+  for (const lesson of next.lessons) {
+    const old = before.get(lesson.path);
+    if (!old) added.push(lesson);
+    else if (
+      old.title !== lesson.title ||
+      old.module !== lesson.module ||
+      (old.hash && lesson.hash && old.hash !== lesson.hash)
+    ) {
+      changed.push(lesson);
+    }
+  }
+  return { added, changed };
+}
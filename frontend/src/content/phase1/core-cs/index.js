@@ -1,8 +0,0 @@
-export { memoryManagement } from './memory-management';
-export { cpuCaches } from './cpu-caches';
-export { filesystems } from './filesystems';
-export { compilersInterpreters } from './compilers-interpreters';
-export { concurrency } from './concurrency';
-export { networking } from './networking';
-
-
@@ -1,9 +0,0 @@
-export { arraysLinkedLists } from './arrays-linked-lists';
-export { hashMaps } from './hash-maps';
-export { stacksQueues } from './stacks-queues';
-export { treesBst } from './trees-bst';
-export { graphsBfsDfs } from './graphs-bfs-dfs';
-export { sortingSearching } from './sorting-searching';
-export { timeSpaceComplexity } from './time-space-complexity';
-
-
@@ -1,7 +0,0 @@
-export { restPrinciples } from './rest-principles';
-export { authentication } from './authentication';
-export { cachingStrategies } from './caching-strategies';
-export { scalingQueues } from './scaling-queues';
-export { retryPatterns } from './retry-patterns';
-
-
@@ -1,3 +0,0 @@
-export const restPrinciples = { title: "REST Principles", duration: "25 minutes", content: "REST (Representational State Transfer) is an architectural style for designing networked applications.\n\n## Core Principles\n\n### 1. Resources with URLs\n```\nGET    /users          # List users\nGET    /users/123      # Get user 123\nPOST   /users          # Create user\nPUT    /users/123      # Update user 123\nDELETE /users/123      # Delete user 123\n```\n\n### 2. HTTP Methods\n- **GET**: Read (safe, idempotent)\n- **POST**: Create\n- **PUT**: Replace (idempotent)\n- **PATCH**: Partial update\n- **DELETE**: Remove (idempotent)\n\n### 3. Stateless\nEach request contains all information needed. No server-side session state.\n\n### 4. Status Codes\n- 200 OK, 201 Created, 204 No Content\n- 400 Bad Request, 401 Unauthorized, 404 Not Found\n- 500 Internal Error\n\n## Best Practices\n- Use nouns for resources: `/users` not `/getUsers`\n- Use plural: `/users` not `/user`\n- Nest logically: `/users/123/orders`\n- Version your API: `/api/v1/users`\n- Return appropriate status codes", quiz: [{ question: "Which HTTP method should be idempotent?", options: ["POST", "PUT", "Neither", "Both"], correctAnswer: 1, explanation: "PUT should be idempotent - making the same request multiple times has the same effect as making it once. POST creates new resources each time." }] };
-
-
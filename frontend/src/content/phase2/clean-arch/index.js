@@ -1,6 +0,0 @@
-export { cohesionCoupling } from './cohesion-coupling';
-export { dependencyInversion } from './dependency-inversion';
-export { layersBoundaries } from './layers-boundaries';
-export { entityServiceController } from './entity-service-controller';
-
-
@@ -1,3 +0,0 @@
-export const builderPattern = { title: "Builder Pattern", duration: "15 minutes", content: "The Builder pattern constructs complex objects step by step.\n\n```javascript\nclass QueryBuilder {\n  constructor() {\n    this.query = { select: '*', from: '', where: [], orderBy: '' };\n  }\n  \n  select(fields) {\n    this.query.select = fields;\n    return this;\n  }\n  \n  from(table) {\n    this.query.from = table;\n    return this;\n  }\n  \n  where(condition) {\n    this.query.where.push(condition);\n    return this;\n  }\n  \n  orderBy(field) {\n    this.query.orderBy = field;\n    return this;\n  }\n  \n  build() {\n    return `SELECT ${this.query.select} FROM ${this.query.from}`;\n  }\n}\n\nconst query = new QueryBuilder()\n  .select('name, email')\n  .from('users')\n  .where('active = true')\n  .orderBy('name')\n  .build();\n```\n\n## When to Use\n- Object has many optional parameters\n- Object construction has many steps\n- You want a fluent API", quiz: [{ question: "What is the main benefit of the Builder pattern?", options: ["Faster object creation", "Readable step-by-step construction of complex objects", "Smaller memory footprint", "Thread safety"], correctAnswer: 1, explanation: "Builder pattern allows readable, step-by-step construction of complex objects, especially when there are many optional parameters." }] };
-
-
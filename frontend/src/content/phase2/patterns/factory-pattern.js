@@ -1,3 +0,0 @@
-export const factoryPattern = { title: "Factory Pattern", duration: "20 minutes", content: "The Factory pattern provides an interface for creating objects without specifying their concrete classes.\n\n## Simple Factory\n\n```javascript\nclass NotificationFactory {\n  static create(type) {\n    switch (type) {\n      case 'email': return new EmailNotification();\n      case 'sms': return new SMSNotification();\n      case 'push': return new PushNotification();\n      default: throw new Error('Unknown type');\n    }\n  }\n}\n\nconst notification = NotificationFactory.create('email');\nnotification.send('Hello!');\n```\n\n## Benefits\n- Centralizes object creation\n- Easy to add new types\n- Clients don't need to know concrete classes", quiz: [{ question: "When should you use the Factory pattern?", options: ["When object creation is complex or conditional", "When you need caching", "When objects are immutable", "When performance is critical"], correctAnswer: 0, explanation: "Factory pattern is useful when creation logic is complex, involves conditionals, or when you want to hide concrete classes from clients." }] };
-
-
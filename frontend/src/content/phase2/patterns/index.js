@@ -1,12 +0,0 @@
-export { strategyPattern } from './strategy-pattern';
-export { factoryPattern } from './factory-pattern';
-export { builderPattern } from './builder-pattern';
-export { adapterPattern } from './adapter-pattern';
-export { observerPattern } from './observer-pattern';
-export { commandPattern } from './command-pattern';
-export { decoratorPattern } from './decorator-pattern';
-export { repositoryPattern } from './repository-pattern';
-export { singletonPattern } from './singleton-pattern';
-export { dependencyInjection } from './dependency-injection';
-
-
@@ -1,3 +0,0 @@
-export const observerPattern = { title: "Observer Pattern", duration: "20 minutes", content: "The Observer pattern lets objects subscribe to events and get notified when they occur.\n\n```javascript\nclass EventEmitter {\n  constructor() {\n    this.listeners = {};\n  }\n  \n  on(event, callback) {\n    if (!this.listeners[event]) {\n      this.listeners[event] = [];\n    }\n    this.listeners[event].push(callback);\n  }\n  \n  off(event, callback) {\n    if (this.listeners[event]) {\n      this.listeners[event] = this.listeners[event]\n        .filter(cb => cb !== callback);\n    }\n  }\n  \n  emit(event, data) {\n    if (this.listeners[event]) {\n      this.listeners[event].forEach(cb => cb(data));\n    }\n  }\n}\n\n// Usage\nconst emitter = new EventEmitter();\n\nemitter.on('userLoggedIn', (user) => {\n  console.log('Send welcome notification to', user.name);\n});\n\nemitter.on('userLoggedIn', (user) => {\n  console.log('Log analytics for', user.name);\n});\n\nemitter.emit('userLoggedIn', { name: 'Alice' });\n```\n\n## Real-World Uses\n- DOM events\n- Node.js EventEmitter\n- React state management\n- Pub/sub systems", quiz: [{ question: "What is the main purpose of the Observer pattern?", options: ["Create objects dynamically", "Allow objects to react to events without tight coupling", "Cache expensive computations", "Manage object state"], correctAnswer: 1, explanation: "Observer pattern allows objects to subscribe to events and react to them, enabling loose coupling between event producers and consumers." }] };
-
-
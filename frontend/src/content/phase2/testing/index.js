@@ -1,6 +0,0 @@
-export { unitTesting } from './unit-testing';
-export { integrationTesting } from './integration-testing';
-export { mocking } from './mocking';
-export { tddBasics } from './tdd-basics';
-
-
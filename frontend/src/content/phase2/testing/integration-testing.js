@@ -1,3 +0,0 @@
-export const integrationTesting = { title: "Integration Testing", duration: "20 minutes", content: "Integration tests verify that components work together correctly.\n\n## Unit vs Integration\n\n| Unit Test | Integration Test |\n|-----------|------------------|\n| Single function/class | Multiple components |\n| Mocked dependencies | Real dependencies |\n| Very fast (ms) | Slower (seconds) |\n| Many tests | Fewer tests |\n\n## API Integration Test\n```javascript\ndescribe('POST /users', () => {\n  test('creates a user', async () => {\n    const response = await request(app)\n      .post('/users')\n      .send({ email: 'test@example.com', password: 'secret' })\n      .expect(201);\n    \n    expect(response.body.email).toBe('test@example.com');\n    \n    // Verify it's actually in the database\n    const user = await db.findByEmail('test@example.com');\n    expect(user).toBeTruthy();\n  });\n});\n```\n\n## Database Integration\n```javascript\nbeforeEach(async () => {\n  await db.truncate('users');  // Clean state\n});\n\nafterAll(async () => {\n  await db.close();\n});\n```\n\n## What to Integration Test\n- API endpoints\n- Database queries\n- External service integration\n- Authentication flows", quiz: [{ question: "When should you prefer integration tests over unit tests?", options: ["Always", "When testing interactions between components", "When testing pure functions", "When you need fast tests"], correctAnswer: 1, explanation: "Integration tests verify that components work correctly together. Unit tests can't catch issues in how components interact." }] };
-
-
@@ -1,3 +0,0 @@
-export const unitTesting = { title: "Unit Testing", duration: "25 minutes", content: "Unit tests verify individual functions or classes in isolation.\n\n## Structure: Arrange-Act-Assert\n```javascript\ntest('should add two numbers', () => {\n  // Arrange\n  const a = 2;\n  const b = 3;\n  \n  // Act\n  const result = add(a, b);\n  \n  // Assert\n  expect(result).toBe(5);\n});\n```\n\n## What to Test\n- Pure functions (easy!)\n- Edge cases (null, empty, boundaries)\n- Error conditions\n- Business logic in entities\n\n## Good Test Characteristics\n- **Fast**: Milliseconds, no I/O\n- **Isolated**: No dependencies on other tests\n- **Repeatable**: Same result every time\n- **Self-validating**: Pass or fail, no manual inspection\n\n## Example\n```javascript\ndescribe('User', () => {\n  describe('isValidEmail', () => {\n    test('returns true for valid email', () => {\n      const user = new User({ email: 'test@example.com' });\n      expect(user.isValidEmail()).toBe(true);\n    });\n    \n    test('returns false for invalid email', () => {\n      const user = new User({ email: 'not-an-email' });\n      expect(user.isValidEmail()).toBe(false);\n    });\n  });\n});\n```", quiz: [{ question: "What does 'isolated' mean in unit testing?", options: ["Tests run in a separate process", "Each test is independent and doesn't affect others", "Tests don't use the network", "Tests are small"], correctAnswer: 1, explanation: "Isolated tests don't depend on or affect other tests. They can run in any order and produce the same results." }] };
-
-
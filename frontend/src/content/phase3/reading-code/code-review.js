@@ -1,3 +0,0 @@
-export const codeReview = { title: "Code Review Best Practices", duration: "25 minutes", content: "Code review improves code quality and spreads knowledge.\n\n## As a Reviewer\n\n### What to Look For\n\n1. **Correctness**: Does it work? Edge cases?\n2. **Design**: Is the approach sound?\n3. **Readability**: Can you understand it?\n4. **Tests**: Are they adequate?\n5. **Security**: Any vulnerabilities?\n\n### How to Comment\n\n#### Good Comments\n```\n\"Could this throw if `user` is null? Consider adding a check.\"\n\n\"Nice use of the Strategy pattern here!\"\n\n\"What do you think about extracting this into a separate function?\"\n```\n\n#### Bad Comments\n```\n\"This is wrong.\"\n\n\"I don't like this.\"\n\n\"Why did you do it this way?\"\n```\n\n### Comment Types\n- **Must fix**: Blocking issues (bugs, security)\n- **Should fix**: Important improvements\n- **Nit**: Style, minor suggestions\n- **Question**: Seeking understanding\n- **Praise**: Acknowledge good work!\n\n## As an Author\n\n### Before Submitting\n- Self-review your changes\n- Run tests locally\n- Keep PRs small (<400 lines)\n- Write good PR description\n\n### During Review\n- Respond to all comments\n- Don't take feedback personally\n- Explain your reasoning\n- Be open to alternatives\n\n## Review Checklist\n- [ ] Code compiles/runs\n- [ ] Tests pass and cover new code\n- [ ] No obvious bugs or edge cases\n- [ ] Follows project conventions\n- [ ] No security vulnerabilities\n- [ ] Documentation updated if needed", quiz: [{ question: "Which is the best code review comment?", options: ["This is bad", "Consider handling the null case here", "Why???", "I would do it differently"], correctAnswer: 1, explanation: "Good comments are specific, actionable, and respectful. They explain the issue and often suggest a solution." }] };
-
-
@@ -1,3 +0,0 @@
-export const firstContribution = { title: "Making Your First Contribution", duration: "25 minutes", content: "Contributing to open source accelerates learning and builds credibility.\n\n## Finding a Project\n\n### Good First Project Criteria\n- Active (recent commits)\n- Has 'good first issue' labels\n- Responsive maintainers\n- Good documentation\n- Welcoming community\n\n### Where to Look\n- GitHub Explore\n- 'good-first-issue' topic\n- Projects you actually use\n\n## Types of Contributions\n\n### 1. Documentation (Easiest)\n- Fix typos\n- Add examples\n- Improve clarity\n- Translate\n\n### 2. Bug Fixes\n- Find issues labeled 'bug'\n- Reproduce the bug first\n- Write a failing test\n- Fix and verify\n\n### 3. Small Features\n- Look for 'enhancement' issues\n- Discuss approach first\n- Follow existing patterns\n\n## The Process\n\n```bash\n# 1. Fork the repository\n# 2. Clone your fork\ngit clone https://github.com/YOU/project\n\n# 3. Create a branch\ngit checkout -b fix/issue-123\n\n# 4. Make changes\n# 5. Test locally\nnpm test\n\n# 6. Commit with clear message\ngit commit -m \"fix: handle null input in parser\"\n\n# 7. Push and create PR\ngit push origin fix/issue-123\n```\n\n## PR Best Practices\n- Clear title and description\n- Reference the issue\n- Small, focused changes\n- Follow the project's style\n- Respond to feedback promptly\n- Be patient and respectful", quiz: [{ question: "What's the best first contribution to an open source project?", options: ["Rewrite the entire codebase", "Fix a typo in documentation", "Add a major new feature", "Change the architecture"], correctAnswer: 1, explanation: "Documentation fixes are low-risk and help you learn the contribution process. Save big changes for after you understand the project." }] };
-
-
@@ -1,6 +0,0 @@
-export { readingLargeCodebases } from './reading-large-codebases';
-export { findingPatterns } from './finding-patterns';
-export { firstContribution } from './first-contribution';
-export { codeReview } from './code-review';
-
-
@@ -1,3 +0,0 @@
-export const readingLargeCodebases = { title: "How to Read Large Codebases", duration: "30 minutes", content: "Reading unfamiliar code is a critical skill. Here's a systematic approach.\n\n## Start with the Big Picture\n\n### 1. Read the README\n- What does this project do?\n- How do you run it?\n- Key architecture decisions?\n\n### 2. Examine the Entry Point\n```\npackage.json → \"main\": \"src/index.js\"\n```\nFind where execution starts and trace the flow.\n\n### 3. Map the Folder Structure\n```\nsrc/\n├── api/        # HTTP layer\n├── services/   # Business logic\n├── models/     # Data structures\n├── utils/      # Helpers\n└── config/     # Configuration\n```\n\n## Reading Strategies\n\n### Top-Down\nStart at entry point, follow the main flow\n- Good for understanding user journeys\n- Can get lost in details\n\n### Bottom-Up\nStart with small utilities, build up\n- Good for understanding building blocks\n- Harder to see the big picture\n\n### Feature-Based (Recommended)\n1. Pick a feature you want to understand\n2. Find its entry point (API endpoint, button click)\n3. Trace through just that feature\n4. Repeat for other features\n\n## Practical Tips\n\n### Use Your IDE\n- \"Go to Definition\" (F12)\n- \"Find All References\"\n- \"Search in Files\" (Ctrl+Shift+F)\n\n### Draw Diagrams\n```\nController → Service → Repository → Database\n                ↓\n            EmailService\n```\n\n### Run the Code\n- Add console.log statements\n- Use debugger breakpoints\n- Write small test scripts\n\n### Don't Read Linearly\nJump around! Follow the interesting threads.", quiz: [{ question: "What's the best way to start reading an unfamiliar codebase?", options: ["Read every file from top to bottom", "Start with the README and entry point", "Start with the tests", "Read the git history"], correctAnswer: 1, explanation: "Start with the README for context, then find the entry point and trace key flows. Don't try to read everything linearly." }] };
-
-
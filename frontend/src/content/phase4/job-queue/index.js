@@ -1,10 +0,0 @@
-export { projectOverview } from './project-overview';
-export { settingUp } from './setting-up';
-export { buildingAuth } from './building-auth';
-export { jobQueueCore } from './job-queue-core';
-export { workersProcessing } from './workers-processing';
-export { retryLogic } from './retry-logic';
-export { monitoringLogging } from './monitoring-logging';
-export { testingDeployment } from './testing-deployment';
-
-
@@ -1,3 +0,0 @@
-export const projectOverview = { title: "Project Overview & Architecture", duration: "20 minutes", content: "# The Stretch Project: Job Queue Backend\n\nYou'll build a production-quality job queue system from scratch. This project applies everything you've learned.\n\n## What We're Building\n\nA system that:\n- Accepts job submissions via REST API\n- Queues jobs for async processing\n- Processes jobs with workers\n- Handles failures with retries\n- Provides monitoring and logging\n\n## Architecture\n\n```\n┌─────────────┐     ┌─────────────┐     ┌─────────────┐\n│   Client    │────▶│  API Server │────▶│    Queue    │\n│             │     │             │     │  (Redis)    │\n└─────────────┘     └─────────────┘     └──────┬──────┘\n                                               │\n                    ┌──────────────────────────┼──────────────────────────┐\n                    │                          │                          │\n               ┌────▼────┐               ┌─────▼────┐              ┌──────▼─────┐\n               │ Worker 1│               │ Worker 2 │              │  Worker 3  │\n               └─────────┘               └──────────┘              └────────────┘\n```\n\n## Tech Stack\n\n- **API**: Express.js\n- **Queue**: Bull (Redis-backed)\n- **Database**: SQLite (job records)\n- **Auth**: JWT\n- **Testing**: Jest\n\n## Features to Implement\n\n1. User authentication\n2. Job submission API\n3. Job queue with Redis\n4. Worker processes\n5. Retry logic with backoff\n6. Job status tracking\n7. Logging and monitoring\n8. Tests\n\n## Skills Applied\n\n- Clean architecture\n- Design patterns (Repository, Factory, Strategy)\n- REST API design\n- Authentication\n- Message queues\n- Retry patterns\n- Testing", quiz: [{ question: "Why use a separate queue instead of processing jobs immediately?", options: ["It's simpler", "Decoupling allows scaling, retries, and handling bursts", "It's required by REST", "It's faster"], correctAnswer: 1, explanation: "A queue decouples submission from processing, enabling independent scaling, graceful failure handling, and smoothing traffic spikes." }] };
-
-
@@ -0,0 +1,135 @@
+// The explicit extension lets the build scripts import this file with plain Node
+import { invalidMatcherReason } from '../runner/matchOutput.js';
+
+// Checks that course.yaml and the lesson files agree, and that each lesson's
+// quiz and exercise are usable. `structure` is courseStructure and `lessons`
+// maps 'phase/module/lesson' to every compiled lesson file (see
+// scripts/course-content.js). Returns a list of { code, path, message };
+// empty when the content is valid.
+export function validateContent(structure, lessons) {
+  const errors = [];
+  const report = (code, path, message) => errors.push({ code, path, message });
+  const listed = new Set();
+
+  const seenPhases = new Set();
+  for (const phase of structure) {
+    if (seenPhases.has(phase.id)) report('duplicate-id', phase.id, `Phase id "${phase.id}" is used more than once`);
+    seenPhases.add(phase.id);
+
+    const seenModules = new Set();
+    for (const module of phase.modules) {
+      const modulePath = `${phase.id}/${module.id}`;
+      if (seenModules.has(module.id)) report('duplicate-id', modulePath, `Module id "${module.id}" is used more than once`);
+      seenModules.add(module.id);
+
+      const seenLessons = new Set();
+      for (const lesson of module.lessons) {
+        const lessonPath = `${modulePath}/${lesson.id}`;
+        if (seenLessons.has(lesson.id)) report('duplicate-id', lessonPath, `Lesson id "${lesson.id}" is used more than once`);
+        seenLessons.add(lesson.id);
+        listed.add(lessonPath);
+
+        const data = lessons[lessonPath];
+        if (!data) {
+          report('missing-lesson', lessonPath, `No lesson file at ${lessonPath}.md`);
+          continue;
+        }
+        validateLesson(data, lessonPath, report);
+      }
+    }
+  }
+
+  for (const lessonPath of Object.keys(lessons)) {
+    if (!listed.has(lessonPath)) {
+      report('orphan-lesson', lessonPath, 'Lesson file is not listed in course.yaml');
+    }
+  }
+
+  return errors;
+}
+
+function validateLesson(lesson, path, report) {
+  if (typeof lesson.title !== 'string' || !lesson.title.trim()) {
+    report('missing-title', path, 'Lesson has no title');
+  }
+
+  if (lesson.quiz && !Array.isArray(lesson.quiz)) {
+    report('invalid-quiz', `${path}/quiz`, 'quiz must be a list of questions');
+  } else if (lesson.quiz) {
+    lesson.quiz.forEach((question, i) => {
+      const questionPath = `${path}/quiz/${i}`;
+      const options = Array.isArray(question.options) ? question.options : [];
+      if (!options.length) report('invalid-quiz', questionPath, 'Question has no options');
+      const answer = question.correctAnswer;
+      if (!Number.isInteger(answer) || answer < 0 || answer >= options.length) {
+        report('invalid-quiz', questionPath, `correctAnswer ${answer} is not an index into ${options.length} options`);
+      }
+      if (typeof question.explanation !== 'string' || !question.explanation.trim()) {
+        report('missing-explanation', questionPath, 'Question has no explanation');
+      }
+    });
+  }
+
+  if (lesson.exercise && typeof lesson.exercise.starterCode !== 'string') {
+    report('missing-starter-code', `${path}/exercise`, 'Exercise has no starterCode');
+  }
+
+  if (lesson.exercise) validateExerciseOptions(lesson.exercise, `${path}/exercise`, report);
+
+  // Declared tests take precedence over stdout matching, so an expected output
+  // next to them would be shown but never graded
+  const expected = lesson.exercise?.expectedOutput;
+  if (expected !== undefined && lesson.exercise.tests?.length) {
+    report('ungraded-expected-output', `${path}/exercise`, 'Exercise has tests, so its expectedOutput is never checked');
+  }
+
+  // A string is matched line by line as-is; a list holds one matcher per line
+  if (expected !== undefined && typeof expected !== 'string') {
+    if (!Array.isArray(expected)) {
+      report('invalid-expected-output', `${path}/exercise`, 'expectedOutput must be a string or a list of matchers');
+    } else {
+      expected.forEach((matcher, i) => {
+        const reason = invalidMatcherReason(matcher);
+        if (reason) report('invalid-expected-output', `${path}/exercise/expectedOutput/${i}`, reason);
+      });
+    }
+  }
+}
+
+const TEST_FIELDS = ['name', 'code', 'expected'];
+
+// Each test runs `code` after the learner's code and compares what it
+// returns with `expected` (see runner.worker.js), so all three are required
+function validateExerciseOptions(exercise, path, report) {
+  if (exercise.tests !== undefined && !Array.isArray(exercise.tests)) {
+    report('invalid-tests', `${path}/tests`, 'tests must be a list');
+  } else if (exercise.tests) {
+    exercise.tests.forEach((test, i) => {
+      const testPath = `${path}/tests/${i}`;
+      if (!test || typeof test !== 'object' || Array.isArray(test)) {
+        report('invalid-tests', testPath, 'Test must have a name, code and expected value');
+        return;
+      }
+      if (typeof test.name !== 'string' || !test.name.trim()) report('invalid-tests', testPath, 'Test has no name');
+      if (typeof test.code !== 'string' || !test.code.trim()) report('invalid-tests', testPath, 'Test has no code');
+      if (!('expected' in test)) report('invalid-tests', testPath, 'Test has no expected value');
+      for (const field of Object.keys(test)) {
+        if (!TEST_FIELDS.includes(field)) report('invalid-tests', testPath, `Unknown test field "${field}"`);
+      }
+    });
+  }
+
+  for (const field of ['timeoutMs', 'maxOutputLines']) {
+    const value = exercise[field];
+    if (value !== undefined && !(typeof value === 'number' && Number.isFinite(value) && value > 0)) {
+      report('invalid-exercise-limit', `${path}/${field}`, `${field} must be a positive number`);
+    }
+  }
+}
+
+export function formatContentErrors(errors) {
+  return [
+    `Course content has ${errors.length} error${errors.length === 1 ? '' : 's'}:`,
+    ...errors.map((e) => `  [${e.code}] ${e.path}: ${e.message}`),
+  ].join('\n');
+}
@@ -0,0 +1,37 @@
+import { useEffect, useRef } from 'react';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart', 'scroll'];
+const CHECK_INTERVAL_MS = 5000;
+
+// Calls onIdle once after `timeoutMs` without user input (0 disables it).
+// Compares timestamps on an interval instead of relying on one long
+// setTimeout, so a laptop that slept past the deadline locks as soon as it wakes.
+export function useIdleTimeout(timeoutMs, onIdle) {
+  const onIdleRef = useRef(onIdle);
+  onIdleRef.current = onIdle;
+
+  useEffect(() => {
+    if (!timeoutMs) return undefined;
+
+    let lastActivity = Date.now();
+    const markActive = () => {
+      lastActivity = Date.now();
+    };
+    const check = () => {
+      if (Date.now() - lastActivity >= timeoutMs) onIdleRef.current();
+    };
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') check();
+    };
+
+    ACTIVITY_EVENTS.forEach((type) => window.addEventListener(type, markActive, { passive: true, capture: true }));
+    document.addEventListener('visibilitychange', handleVisibility);
+    const id = setInterval(check, Math.min(CHECK_INTERVAL_MS, timeoutMs));
+
+    return () => {
+      ACTIVITY_EVENTS.forEach((type) => window.removeEventListener(type, markActive, { capture: true }));
+      document.removeEventListener('visibilitychange', handleVisibility);
+      clearInterval(id);
+    };
+  }, [timeoutMs]);
+}
@@ -0,0 +1,38 @@
+import { useEffect, useId, useState } from 'react';
+
+// Components with work a reload would lose (an unsubmitted quiz, an exercise
+// being edited or run), so app updates can wait until they're done.
+const dirty = new Set();
+const listeners = new Set();
+
+function notify() {
+  listeners.forEach((listener) => listener(dirty.size > 0));
+}
+
+// Marks the calling component as having unsaved work while `isDirty` is true.
+export function useUnsavedWork(isDirty) {
+  const id = useId();
+
+  useEffect(() => {
+    if (!isDirty) return undefined;
+    dirty.add(id);
+    notify();
+    return () => {
+      dirty.delete(id);
+      notify();
+    };
+  }, [id, isDirty]);
+}
+
+// Whether any mounted component currently has unsaved work.
+export function useHasUnsavedWork() {
+  const [hasUnsaved, setHasUnsaved] = useState(dirty.size > 0);
+
+  useEffect(() => {
+    listeners.add(setHasUnsaved);
+    setHasUnsaved(dirty.size > 0);
+    return () => listeners.delete(setHasUnsaved);
+  }, []);
+
+  return hasUnsaved;
+}
@@ -2,12 +2,21 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import { BrowserRouter } from 'react-router-dom';
 import App from './App';
+import UpdatePrompt from './components/UpdatePrompt';
+// Self-hosted (Latin subset) so text renders the same offline
+import '@fontsource/crimson-pro/latin-400.css';
+import '@fontsource/crimson-pro/latin-400-italic.css';
+import '@fontsource/crimson-pro/latin-600.css';
+import '@fontsource/jetbrains-mono/latin-400.css';
+import '@fontsource/jetbrains-mono/latin-500.css';
+import '@fontsource/jetbrains-mono/latin-600.css';
 import './styles/main.css';
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <BrowserRouter>
       <App />
+      <UpdatePrompt />
     </BrowserRouter>
   </React.StrictMode>
 );
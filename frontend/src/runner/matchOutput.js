@@ -0,0 +1,200 @@
+// Compares program output against an exercise's `expectedOutput`.
+//
+// `expectedOutput` is either a string (every line must match exactly, ignoring
+// surrounding whitespace) or an array with one matcher per output line:
+//
+//   'text'                                 exact line
+//   { regex: '^took \\d+ms$', flags: 'i' } line matches the regular expression
+//   { approx: 'avg: 2.5', tolerance: 0.01 } numbers within tolerance, rest exact
+//   { contains: 'eliminated' }             line contains the text
+//   { ignoreWhitespace: '[1, 2]' }         equal once all whitespace is removed
+//   { unordered: [...matchers] }           the next N lines, in any order
+//
+// Any object matcher may also carry a `label` to show instead of its pattern.
+
+const NUMBER_RE = /-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/gi;
+
+function splitNumbers(line) {
+  const numbers = [];
+  const text = line.replace(NUMBER_RE, (n) => {
+    numbers.push(Number(n));
+    return '\u0000';
+  });
+  return { text, numbers };
+}
+
+function matchApprox(line, expected, tolerance = 1e-9) {
+  const a = splitNumbers(line);
+  const e = splitNumbers(expected);
+  return (
+    a.text === e.text &&
+    a.numbers.length === e.numbers.length &&
+    a.numbers.every((n, i) => Math.abs(n - e.numbers[i]) <= tolerance)
+  );
+}
+
+// Null when the pattern or flags don't compile, so one bad matcher fails its
+// line instead of throwing while the result is rendered
+function compileRegex(matcher) {
+  try {
+    return new RegExp(matcher.regex, matcher.flags);
+  } catch {
+    return null;
+  }
+}
+
+// Why `matcher` isn't a valid line matcher (see the list above), or null if it
+// is. `unordered` blocks are only allowed at the top level of expectedOutput.
+export function invalidMatcherReason(matcher, { allowUnordered = true } = {}) {
+  if (typeof matcher === 'string') return null;
+  if (!matcher || typeof matcher !== 'object' || Array.isArray(matcher)) return 'must be a string or a matcher object';
+
+  if (matcher.unordered !== undefined) {
+    if (!allowUnordered) return 'unordered blocks cannot be nested';
+    if (!Array.isArray(matcher.unordered) || !matcher.unordered.length) return 'unordered must be a non-empty list';
+    for (const m of matcher.unordered) {
+      const reason = invalidMatcherReason(m, { allowUnordered: false });
+      if (reason) return `unordered: ${reason}`;
+    }
+    return null;
+  }
+  if (matcher.regex !== undefined) {
+    if (typeof matcher.regex !== 'string') return 'regex must be a string';
+    if (matcher.flags !== undefined && typeof matcher.flags !== 'string') return 'flags must be a string';
+    try {
+      new RegExp(matcher.regex, matcher.flags);
+    } catch (e) {
+      return e.message;
+    }
+    return null;
+  }
+  if (matcher.approx !== undefined) {
+    if (matcher.tolerance !== undefined && typeof matcher.tolerance !== 'number') return 'tolerance must be a number';
+    return null;
+  }
+  if (matcher.contains !== undefined || matcher.ignoreWhitespace !== undefined) return null;
+  return 'unknown matcher (expected regex, approx, contains, ignoreWhitespace or unordered)';
+}
+
+export function matchLine(matcher, line) {
+  const actual = line.trim();
+  if (typeof matcher === 'string') return actual === matcher.trim();
+  if (!matcher || typeof matcher !== 'object') return false;
+
+  if (matcher.regex !== undefined) return compileRegex(matcher)?.test(actual) ?? false;
+  if (matcher.approx !== undefined) return matchApprox(actual, String(matcher.approx).trim(), matcher.tolerance);
+  if (matcher.contains !== undefined) return actual.includes(matcher.contains);
+  if (matcher.ignoreWhitespace !== undefined) {
+    return actual.replace(/\s+/g, '') === String(matcher.ignoreWhitespace).replace(/\s+/g, '');
+  }
+  return false;
+}
+
+export function describeMatcher(matcher) {
+  if (typeof matcher === 'string') return matcher;
+  if (matcher?.label) return matcher.label;
+  if (matcher?.regex !== undefined) return `/${matcher.regex}/${matcher.flags || ''}`;
+  if (matcher?.approx !== undefined) return `≈ ${matcher.approx} (±${matcher.tolerance ?? 1e-9})`;
+  if (matcher?.contains !== undefined) return `… ${matcher.contains} …`;
+  if (matcher?.ignoreWhitespace !== undefined) return String(matcher.ignoreWhitespace);
+  return '(invalid matcher)';
+}
+
+function normalizeExpected(expectedOutput) {
+  if (Array.isArray(expectedOutput)) return expectedOutput;
+  return String(expectedOutput ?? '').trim().split('\n');
+}
+
+// Human-readable expected output, one string per line, for display.
+export function describeExpectedOutput(expectedOutput) {
+  const lines = [];
+  for (const matcher of normalizeExpected(expectedOutput)) {
+    if (matcher?.unordered) {
+      matcher.unordered.forEach((m) => lines.push(`${describeMatcher(m)}   (any order)`));
+    } else {
+      lines.push(describeMatcher(matcher));
+    }
+  }
+  return lines;
+}
+
+// Pairs each line of an unordered block with a distinct matcher, trying every
+// assignment (blocks are small). Returns one { index, ok } per line; when no
+// full assignment exists, unmatched lines are paired with leftover matchers so
+// the diff can show them side by side.
+function assignUnordered(matchers, lines) {
+  const used = new Array(matchers.length).fill(false);
+  const assignment = new Array(lines.length).fill(-1);
+
+  const solve = (i) => {
+    if (i === lines.length) return true;
+    for (let m = 0; m < matchers.length; m++) {
+      if (used[m] || !matchLine(matchers[m], lines[i])) continue;
+      used[m] = true;
+      assignment[i] = m;
+      if (solve(i + 1)) return true;
+      used[m] = false;
+      assignment[i] = -1;
+    }
+    return false;
+  };
+
+  if (solve(0)) return assignment.map((index) => ({ index, ok: true }));
+
+  used.fill(false);
+  const pairs = lines.map((line) => {
+    const index = matchers.findIndex((m, idx) => !used[idx] && matchLine(m, line));
+    if (index !== -1) used[index] = true;
+    return { index, ok: index !== -1 };
+  });
+  for (const pair of pairs) {
+    if (pair.ok) continue;
+    pair.index = used.indexOf(false);
+    used[pair.index] = true;
+  }
+  return pairs;
+}
+
+// Returns { passed, rows } where rows is a line-by-line diff:
+// { status: 'match' | 'mismatch' | 'missing' | 'extra', expected, actual }.
+export function matchOutput(expectedOutput, output) {
+  const matchers = normalizeExpected(expectedOutput);
+  const lines = output.trim() === '' ? [] : output.trim().split('\n');
+  const rows = [];
+  let passed = true;
+  let pos = 0;
+
+  const row = (matcher, actual, ok) => {
+    if (!ok) passed = false;
+    rows.push({
+      status: actual === undefined ? 'missing' : ok ? 'match' : 'mismatch',
+      expected: describeMatcher(matcher),
+      actual,
+    });
+  };
+
+  for (const matcher of matchers) {
+    if (matcher?.unordered) {
+      const block = matcher.unordered;
+      const blockLines = lines.slice(pos, pos + block.length);
+      const pairs = assignUnordered(block, blockLines);
+      pairs.forEach(({ index, ok }, i) => row(block[index], blockLines[i], ok));
+      const paired = new Set(pairs.map((p) => p.index));
+      block.forEach((m, idx) => {
+        if (!paired.has(idx)) row(m, undefined, false);
+      });
+      pos += block.length;
+    } else {
+      const line = lines[pos];
+      row(matcher, line, line !== undefined && matchLine(matcher, line));
+      pos++;
+    }
+  }
+
+  for (; pos < lines.length; pos++) {
+    passed = false;
+    rows.push({ status: 'extra', expected: null, actual: lines[pos] });
+  }
+
+  return { passed, rows };
+}
@@ -0,0 +1,52 @@
+// Bootstrap for the sandboxed runner iframe. It runs in an opaque origin, so
+// neither it nor the worker it spawns can reach the app's IndexedDB or
+// localStorage. It only relays messages between the parent and the worker.
+// Keep this file free of imports; it is inlined into the iframe's srcdoc.
+
+(function () {
+  let worker = null;
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window.parent) return;
+    const msg = event.data || {};
+
+    if (msg.type === 'run') {
+      const url = URL.createObjectURL(new Blob([msg.workerSource], { type: 'text/javascript' }));
+      try {
+        worker = new Worker(url);
+      } catch (err) {
+        // Some browsers refuse workers in an opaque-origin frame; report it
+        // rather than letting the run sit until it times out
+        worker = null;
+        URL.revokeObjectURL(url);
+        window.parent.postMessage(
+          { type: 'error', message: `Could not start the code runner: ${err.message || err}`, runId: msg.runId },
+          '*'
+        );
+        return;
+      }
+
+      worker.onmessage = (e) => {
+        window.parent.postMessage({ ...e.data, runId: msg.runId }, '*');
+      };
+      worker.onerror = (e) => {
+        e.preventDefault();
+        window.parent.postMessage(
+          { type: 'error', message: e.message || 'Worker failed to start', runId: msg.runId },
+          '*'
+        );
+      };
+      worker.postMessage({
+        type: 'run',
+        code: msg.code,
+        tests: msg.tests,
+        maxOutputLines: msg.maxOutputLines,
+      });
+    } else if (msg.type === 'stop' && worker) {
+      worker.terminate();
+      worker = null;
+    }
+  });
+
+  window.parent.postMessage({ type: 'ready' }, '*');
+})();
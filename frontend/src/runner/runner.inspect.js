@@ -0,0 +1,485 @@
+// Node-style value formatting for the sandbox worker, modelled on
+// util.inspect / util.format so exercise output matches what the lessons
+// (and Node itself) print. This file is prepended to runner.worker.js before
+// the worker is started, so keep it free of imports and exports.
+
+const INSPECT_DEFAULTS = {
+  depth: 2,
+  breakLength: 80,
+  compact: 3,
+  maxArrayLength: 100,
+};
+
+const IDENTIFIER_RE = /^[a-zA-Z_][a-zA-Z_0-9]*$/;
+
+function quoteString(str) {
+  let quote = "'";
+  if (str.includes("'")) {
+    if (!str.includes('"')) quote = '"';
+    else if (!str.includes('`') && !str.includes('${')) quote = '`';
+  }
+  const escaped = str.replace(/[\\\n\r\t\b\f\v]|[\x00-\x1f\x7f]/g, (ch) => {
+    switch (ch) {
+      case '\\': return '\\\\';
+      case '\n': return '\\n';
+      case '\r': return '\\r';
+      case '\t': return '\\t';
+      case '\b': return '\\b';
+      case '\f': return '\\f';
+      case '\v': return '\\v';
+      default: return `\\x${ch.charCodeAt(0).toString(16).padStart(2, '0')}`;
+    }
+  });
+  return quote + (quote === "'" ? escaped.replace(/'/g, "\\'") : escaped) + quote;
+}
+
+function formatNumber(n) {
+  return Object.is(n, -0) ? '-0' : `${n}`;
+}
+
+function formatPrimitive(value) {
+  switch (typeof value) {
+    case 'string': return quoteString(value);
+    case 'number': return formatNumber(value);
+    case 'bigint': return `${value}n`;
+    case 'boolean': return `${value}`;
+    case 'undefined': return 'undefined';
+    case 'symbol': return value.toString();
+    default: return String(value);
+  }
+}
+
+function getConstructorName(obj) {
+  let proto = obj;
+  while (proto) {
+    const desc = Object.getOwnPropertyDescriptor(proto, 'constructor');
+    if (desc && typeof desc.value === 'function' && desc.value.name !== '') {
+      return desc.value.name;
+    }
+    proto = Object.getPrototypeOf(proto);
+  }
+  return null;
+}
+
+function getPrefix(constructorName, fallback, size) {
+  const sizeStr = size === undefined ? '' : `(${size})`;
+  if (constructorName === null) return `[${fallback}${sizeStr}: null prototype] `;
+  return `${constructorName}${sizeStr} `;
+}
+
+function formatKey(key) {
+  if (typeof key === 'symbol') return `[${key.toString()}]`;
+  if (IDENTIFIER_RE.test(key)) return key;
+  return quoteString(key);
+}
+
+function ownKeys(value, skipIndices) {
+  const keys = Object.keys(value).filter((k) => !(skipIndices && /^(0|[1-9][0-9]*)$/.test(k)));
+  const symbols = Object.getOwnPropertySymbols(value).filter(
+    (s) => Object.prototype.propertyIsEnumerable.call(value, s)
+  );
+  return keys.concat(symbols);
+}
+
+function formatProperty(ctx, value, recurseTimes, key) {
+  const desc = Object.getOwnPropertyDescriptor(value, key) || { value: value[key], enumerable: true };
+  let str;
+  if (desc.get || desc.set) {
+    str = desc.get && desc.set ? '[Getter/Setter]' : desc.get ? '[Getter]' : '[Setter]';
+  } else {
+    ctx.indentationLvl += 2;
+    str = inspectValue(ctx, desc.value, recurseTimes);
+    ctx.indentationLvl -= 2;
+  }
+  return `${formatKey(key)}: ${str}`;
+}
+
+function formatArrayLike(ctx, value, recurseTimes) {
+  const output = [];
+  const length = value.length;
+  const limit = Math.min(ctx.maxArrayLength, length);
+  let holes = 0;
+  const flushHoles = () => {
+    if (holes > 0) {
+      output.push(`<${holes} empty item${holes > 1 ? 's' : ''}>`);
+      holes = 0;
+    }
+  };
+  for (let i = 0; i < limit; i++) {
+    if (!Object.prototype.hasOwnProperty.call(value, i)) {
+      holes++;
+      continue;
+    }
+    flushHoles();
+    ctx.indentationLvl += 2;
+    output.push(inspectValue(ctx, value[i], recurseTimes));
+    ctx.indentationLvl -= 2;
+  }
+  flushHoles();
+  if (length > limit) {
+    const remaining = length - limit;
+    output.push(`... ${remaining} more item${remaining > 1 ? 's' : ''}`);
+  }
+  return output;
+}
+
+// Lays short array entries out in aligned columns, the way Node does for
+// e.g. [1, 2, ..., 27].
+function groupArrayElements(ctx, output, value) {
+  let totalLength = 0;
+  let maxLength = 0;
+  let outputLength = output.length;
+  if (value && ctx.maxArrayLength < value.length) outputLength--;
+  const separatorSpace = 2;
+  const dataLen = new Array(outputLength);
+  for (let i = 0; i < outputLength; i++) {
+    const len = output[i].length;
+    dataLen[i] = len;
+    totalLength += len + separatorSpace;
+    if (maxLength < len) maxLength = len;
+  }
+  const actualMax = maxLength + separatorSpace;
+  if (
+    actualMax * 3 + ctx.indentationLvl < ctx.breakLength &&
+    (totalLength / actualMax > 5 || maxLength <= 6)
+  ) {
+    const averageBias = Math.sqrt(actualMax - totalLength / output.length);
+    const biasedMax = Math.max(actualMax - 3 - averageBias, 1);
+    const columns = Math.min(
+      Math.round(Math.sqrt(2.5 * biasedMax * outputLength) / biasedMax),
+      Math.floor((ctx.breakLength - ctx.indentationLvl) / actualMax),
+      ctx.compact * 4,
+      15
+    );
+    if (columns <= 1) return output;
+
+    const maxLineLength = [];
+    for (let i = 0; i < columns; i++) {
+      let lineLength = 0;
+      for (let j = i; j < outputLength; j += columns) {
+        if (dataLen[j] > lineLength) lineLength = dataLen[j];
+      }
+      maxLineLength.push(lineLength + separatorSpace);
+    }
+    let padStart = true;
+    if (value) {
+      for (let i = 0; i < outputLength; i++) {
+        if (typeof value[i] !== 'number' && typeof value[i] !== 'bigint') {
+          padStart = false;
+          break;
+        }
+      }
+    }
+    const grouped = [];
+    for (let i = 0; i < outputLength; i += columns) {
+      const max = Math.min(i + columns, outputLength);
+      let str = '';
+      let j = i;
+      for (; j < max - 1; j++) {
+        const cell = `${output[j]}, `;
+        str += padStart ? cell.padStart(maxLineLength[j - i]) : cell.padEnd(maxLineLength[j - i]);
+      }
+      str += padStart ? output[j].padStart(maxLineLength[j - i] - separatorSpace) : output[j];
+      grouped.push(str);
+    }
+    if (outputLength < output.length) grouped.push(output[outputLength]);
+    return grouped;
+  }
+  return output;
+}
+
+function isBelowBreakLength(ctx, output, start, base) {
+  let totalLength = output.length + start;
+  if (totalLength + output.length > ctx.breakLength) return false;
+  for (const entry of output) {
+    totalLength += entry.length;
+    if (totalLength > ctx.breakLength) return false;
+  }
+  return base === '' || !base.includes('\n');
+}
+
+function reduceToSingleString(ctx, output, base, braces, isArrayLike, recurseTimes, value) {
+  const entries = output.length;
+  if (isArrayLike && entries > 6) output = groupArrayElements(ctx, output, value);
+  if (ctx.currentDepth - recurseTimes < ctx.compact && entries === output.length) {
+    const start = output.length + ctx.indentationLvl + braces[0].length + base.length + 10;
+    if (isBelowBreakLength(ctx, output, start, base)) {
+      const joined = output.join(', ');
+      if (!joined.includes('\n')) {
+        return `${base ? `${base} ` : ''}${braces[0]} ${joined} ${braces[1]}`;
+      }
+    }
+  }
+  const indentation = `\n${' '.repeat(ctx.indentationLvl)}`;
+  return `${base ? `${base} ` : ''}${braces[0]}${indentation}  ${output.join(`,${indentation}  `)}${indentation}${braces[1]}`;
+}
+
+function formatFunctionBase(fn) {
+  if (/^class\b/.test(Function.prototype.toString.call(fn))) {
+    return `[class ${fn.name || '(anonymous)'}]`;
+  }
+  const type = getConstructorName(fn) || 'Function';
+  return `[${type}${fn.name ? `: ${fn.name}` : ' (anonymous)'}]`;
+}
+
+function formatRaw(ctx, value, recurseTimes) {
+  const constructorName = getConstructorName(value);
+  let keys;
+  let base = '';
+  let braces;
+  let isArrayLike = false;
+  let formatter = () => [];
+  let tag = constructorName || 'Object';
+
+  if (Array.isArray(value)) {
+    keys = ownKeys(value, true);
+    const prefix = constructorName !== 'Array' ? getPrefix(constructorName, 'Array', value.length) : '';
+    braces = [`${prefix}[`, ']'];
+    if (value.length === 0 && keys.length === 0) return `${braces[0]}]`;
+    isArrayLike = true;
+    formatter = () => formatArrayLike(ctx, value, recurseTimes);
+  } else if (ArrayBuffer.isView(value) && !(value instanceof DataView)) {
+    keys = ownKeys(value, true);
+    braces = [`${getPrefix(constructorName, 'TypedArray', value.length)}[`, ']'];
+    if (value.length === 0 && keys.length === 0) return `${braces[0]}]`;
+    isArrayLike = true;
+    formatter = () => formatArrayLike(ctx, value, recurseTimes);
+  } else if (value instanceof Map) {
+    keys = ownKeys(value);
+    braces = [`${getPrefix(constructorName, 'Map', value.size)}{`, '}'];
+    if (value.size === 0 && keys.length === 0) return `${braces[0]}}`;
+    formatter = () => {
+      const output = [];
+      ctx.indentationLvl += 2;
+      for (const [k, v] of value) {
+        output.push(`${inspectValue(ctx, k, recurseTimes)} => ${inspectValue(ctx, v, recurseTimes)}`);
+      }
+      ctx.indentationLvl -= 2;
+      return output;
+    };
+  } else if (value instanceof Set) {
+    keys = ownKeys(value);
+    braces = [`${getPrefix(constructorName, 'Set', value.size)}{`, '}'];
+    if (value.size === 0 && keys.length === 0) return `${braces[0]}}`;
+    formatter = () => {
+      const output = [];
+      ctx.indentationLvl += 2;
+      for (const v of value) output.push(inspectValue(ctx, v, recurseTimes));
+      ctx.indentationLvl -= 2;
+      return output;
+    };
+  } else {
+    keys = ownKeys(value);
+    braces = ['{', '}'];
+    if (typeof value === 'function') {
+      base = formatFunctionBase(value);
+      if (keys.length === 0) return base;
+    } else if (value instanceof Error) {
+      const message = `${value.name || 'Error'}: ${value.message}`;
+      base = recurseTimes === 0 ? message : `[${message}]`;
+      keys = keys.filter((k) => k !== 'stack' && k !== 'message');
+      if (keys.length === 0) return base;
+    } else if (value instanceof Date) {
+      base = Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+      if (keys.length === 0) return base;
+    } else if (value instanceof RegExp) {
+      base = RegExp.prototype.toString.call(value);
+      if (keys.length === 0) return base;
+    } else if (value instanceof Promise) {
+      braces[0] = `${getPrefix(constructorName, 'Promise')}{`;
+      formatter = () => ['<unknown>'];
+    } else if (value instanceof WeakMap || value instanceof WeakSet) {
+      return `${getPrefix(constructorName, 'Object')}{ <items unknown> }`;
+    } else if (
+      value instanceof Number ||
+      value instanceof String ||
+      value instanceof Boolean
+    ) {
+      const type = value instanceof Number ? 'Number' : value instanceof String ? 'String' : 'Boolean';
+      base = `[${type}: ${formatPrimitive(value.valueOf())}]`;
+      if (value instanceof String) keys = ownKeys(value, true);
+      if (keys.length === 0) return base;
+    } else if (constructorName === 'Object') {
+      if (keys.length === 0) return '{}';
+    } else {
+      braces[0] = `${getPrefix(constructorName, 'Object')}{`;
+      if (keys.length === 0) return `${braces[0]}}`;
+    }
+    tag = constructorName || 'Object';
+  }
+
+  if (recurseTimes > ctx.depth) {
+    return `[${Array.isArray(value) ? 'Array' : tag}]`;
+  }
+
+  recurseTimes += 1;
+  ctx.seen.push(value);
+  ctx.currentDepth = recurseTimes;
+  const output = formatter();
+  for (const key of keys) output.push(formatProperty(ctx, value, recurseTimes, key));
+  ctx.seen.pop();
+
+  let result = reduceToSingleString(ctx, output, base, braces, isArrayLike, recurseTimes, value);
+  const refIndex = ctx.circular.get(value);
+  if (refIndex !== undefined) result = `<ref *${refIndex}> ${result}`;
+  return result;
+}
+
+function inspectValue(ctx, value, recurseTimes) {
+  if (typeof value !== 'object' && typeof value !== 'function') return formatPrimitive(value);
+  if (value === null) return 'null';
+
+  if (ctx.seen.includes(value)) {
+    let index = ctx.circular.get(value);
+    if (index === undefined) {
+      index = ctx.circular.size + 1;
+      ctx.circular.set(value, index);
+    }
+    return `[Circular *${index}]`;
+  }
+  return formatRaw(ctx, value, recurseTimes);
+}
+
+function inspect(value, options = {}) {
+  const ctx = {
+    ...INSPECT_DEFAULTS,
+    ...options,
+    seen: [],
+    circular: new Map(),
+    indentationLvl: 0,
+    currentDepth: 0,
+  };
+  return inspectValue(ctx, value, 0);
+}
+
+// util.format: printf-style substitutions in a leading string, then the
+// remaining arguments joined with spaces (strings as-is, others inspected).
+function formatLogArgs(args) {
+  if (args.length === 0) return '';
+  const first = args[0];
+  let a = 0;
+  let str = '';
+
+  if (typeof first === 'string' && args.length > 1) {
+    a = 1;
+    let last = 0;
+    for (let i = 0; i < first.length - 1; i++) {
+      if (first[i] !== '%') continue;
+      const spec = first[i + 1];
+      if (spec === '%') {
+        str += first.slice(last, i) + '%';
+        last = i + 2;
+        i++;
+        continue;
+      }
+      if (a >= args.length || !'sdifjoOc'.includes(spec)) continue;
+      const arg = args[a];
+      let replacement;
+      switch (spec) {
+        case 's':
+          if (typeof arg === 'bigint') replacement = `${arg}n`;
+          else if (typeof arg === 'object' && arg !== null) replacement = inspect(arg, { depth: 0 });
+          else replacement = String(arg);
+          break;
+        case 'd':
+          replacement = typeof arg === 'bigint' ? `${arg}n` : typeof arg === 'symbol' ? 'NaN' : formatNumber(Number(arg));
+          break;
+        case 'i':
+          replacement = typeof arg === 'bigint' ? `${arg}n` : typeof arg === 'symbol' ? 'NaN' : formatNumber(parseInt(arg, 10));
+          break;
+        case 'f':
+          replacement = typeof arg === 'symbol' ? 'NaN' : formatNumber(parseFloat(arg));
+          break;
+        case 'j':
+          try {
+            replacement = JSON.stringify(arg);
+          } catch (e) {
+            replacement = '[Circular]';
+          }
+          break;
+        case 'o':
+        case 'O':
+          replacement = inspect(arg);
+          break;
+        case 'c':
+          replacement = '';
+          break;
+        default:
+          break;
+      }
+      str += first.slice(last, i) + replacement;
+      last = i + 2;
+      i++;
+      a++;
+    }
+    str += first.slice(last);
+  }
+
+  for (; a < args.length; a++) {
+    const arg = args[a];
+    const piece = typeof arg === 'string' ? arg : inspect(arg);
+    str += str || a > 0 ? ` ${piece}` : piece;
+  }
+  return str;
+}
+
+function renderTable(head, rows) {
+  const widths = head.map((h, i) => Math.max(h.length, ...rows.map((r) => (r[i] || '').length)));
+  const line = (left, mid, right) => left + widths.map((w) => '─'.repeat(w + 2)).join(mid) + right;
+  const row = (cells) => `│${cells.map((c, i) => ` ${(c || '').padEnd(widths[i])} `).join('│')}│`;
+  return [
+    line('┌', '┬', '┐'),
+    row(head),
+    line('├', '┼', '┤'),
+    ...rows.map(row),
+    line('└', '┴', '┘'),
+  ].join('\n');
+}
+
+// console.table: one row per own key (or iteration entry), one column per
+// property found in object rows, plus "Values" for primitive rows.
+function formatTable(data, properties) {
+  if (data === null || typeof data !== 'object') return null;
+
+  const cell = (v) => inspect(v, { depth: 1, breakLength: Infinity, maxArrayLength: 3 });
+  const indexHeader = data instanceof Map || data instanceof Set ? '(iteration index)' : '(index)';
+  let entries;
+  if (data instanceof Map) {
+    entries = [...data].map(([k, v], i) => [String(i), v, k]);
+  } else if (data instanceof Set) {
+    entries = [...data].map((v, i) => [String(i), v]);
+  } else {
+    entries = Object.keys(data).map((k) => [k, data[k]]);
+  }
+
+  const columns = [];
+  let hasValues = false;
+  for (const [, v] of entries) {
+    if (v !== null && typeof v === 'object') {
+      for (const k of Object.keys(v)) {
+        if (!columns.includes(k) && (!properties || properties.includes(k))) columns.push(k);
+      }
+    } else {
+      hasValues = true;
+    }
+  }
+  if (properties) columns.sort((x, y) => properties.indexOf(x) - properties.indexOf(y));
+
+  const head = [indexHeader];
+  if (data instanceof Map) head.push('Key');
+  head.push(...columns);
+  if (hasValues) head.push('Values');
+
+  const rows = entries.map(([index, v, key]) => {
+    const r = [index];
+    if (data instanceof Map) r.push(cell(key));
+    const isObject = v !== null && typeof v === 'object';
+    for (const c of columns) {
+      r.push(isObject && Object.prototype.hasOwnProperty.call(v, c) ? cell(v[c]) : '');
+    }
+    if (hasValues) r.push(isObject ? '' : cell(v));
+    return r;
+  });
+
+  return renderTable(head, rows);
+}
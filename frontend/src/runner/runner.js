@@ -0,0 +1,110 @@
+import inspectSource from './runner.inspect.js?raw';
+import workerSource from './runner.worker.js?raw';
+import frameSource from './runner.frame.js?raw';
+
+export const DEFAULT_TIMEOUT_MS = 5000;
+export const DEFAULT_MAX_OUTPUT_LINES = 500;
+
+const WORKER_SOURCE = `${inspectSource}\n${workerSource}`;
+const FRAME_SRCDOC = `<!DOCTYPE html><html><head><meta charset="utf-8"></head><body><script>${frameSource}</script></body></html>`;
+
+function newRunId() {
+  if (crypto?.randomUUID) return crypto.randomUUID();
+  return `run_${Math.random().toString(16).slice(2)}_${Date.now()}`;
+}
+
+// Learner code runs in a worker spawned by an opaque-origin iframe
+// (sandbox="allow-scripts" without allow-same-origin). The iframe is created
+// per run and removed when the run settles, which also kills its worker.
+function createSandboxFrame() {
+  const iframe = document.createElement('iframe');
+  iframe.setAttribute('sandbox', 'allow-scripts');
+  iframe.setAttribute('aria-hidden', 'true');
+  iframe.tabIndex = -1;
+  iframe.style.display = 'none';
+  iframe.srcdoc = FRAME_SRCDOC;
+  document.body.appendChild(iframe);
+  return iframe;
+}
+
+// Runs code in the sandbox. Returns { result, cancel } where `result`
+// resolves to { status, entries, truncated, tests, returnValue, error, durationMs }
+// and status is one of 'ok' | 'error' | 'timeout' | 'cancelled'.
+// `entries` holds one { level, text } per console call, where level is one of
+// 'log' | 'info' | 'debug' | 'warn' | 'error'.
+// `tests` holds one { name, passed, actual, expected, error } entry per test
+// case that finished before the run settled.
+export function runCode(
+  code,
+  { tests = [], timeoutMs = DEFAULT_TIMEOUT_MS, maxOutputLines = DEFAULT_MAX_OUTPUT_LINES } = {}
+) {
+  const runId = newRunId();
+  const iframe = createSandboxFrame();
+  const startedAt = performance.now();
+  const entries = [];
+  const testResults = [];
+  let truncated = false;
+  let timer = null;
+  let settle;
+
+  const handleMessage = (event) => {
+    // Sandboxed frames have an opaque ("null") origin, so match on the window instead
+    if (event.source !== iframe.contentWindow) return;
+    const msg = event.data || {};
+
+    if (msg.type === 'ready') {
+      iframe.contentWindow.postMessage({ type: 'run', runId, code, tests, maxOutputLines, workerSource: WORKER_SOURCE }, '*');
+      return;
+    }
+    if (msg.runId !== runId) return;
+
+    switch (msg.type) {
+      case 'log':
+        entries.push({ level: msg.level, text: msg.text });
+        break;
+      case 'truncated':
+        truncated = true;
+        break;
+      case 'test':
+        testResults.push(msg.result);
+        break;
+      case 'done':
+        settle?.('ok', { returnValue: msg.returnValue });
+        break;
+      case 'error':
+        settle?.('error', { error: msg.message });
+        break;
+      default:
+        break;
+    }
+  };
+
+  const result = new Promise((resolve) => {
+    settle = (status, extra = {}) => {
+      if (!settle) return;
+      settle = null;
+      clearTimeout(timer);
+      window.removeEventListener('message', handleMessage);
+      iframe.contentWindow?.postMessage({ type: 'stop' }, '*');
+      iframe.remove();
+      resolve({
+        status,
+        entries,
+        truncated,
+        tests: testResults,
+        returnValue: undefined,
+        error: null,
+        durationMs: Math.round(performance.now() - startedAt),
+        ...extra,
+      });
+    };
+  });
+
+  window.addEventListener('message', handleMessage);
+  timer = setTimeout(() => settle?.('timeout', { error: `Execution timed out after ${timeoutMs} ms` }), timeoutMs);
+
+  return {
+    result,
+    cancel: () => settle?.('cancelled'),
+  };
+}
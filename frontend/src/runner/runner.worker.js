@@ -0,0 +1,254 @@
+// Executes learner code off the main thread so a runaway loop can be
+// terminated without freezing the app. The sandbox iframe starts it from a
+// blob URL, so keep this file free of imports. inspect(), formatLogArgs() and
+// formatTable() come from runner.inspect.js, which is prepended to it.
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+const nativeSetTimeout = self.setTimeout.bind(self);
+const nativeClearTimeout = self.clearTimeout.bind(self);
+const nativeSetInterval = self.setInterval.bind(self);
+const nativeClearInterval = self.clearInterval.bind(self);
+
+// Timers scheduled by learner code. The run only settles once this is empty.
+const pendingTimers = new Set();
+let idleWaiters = [];
+let uncaughtError = null;
+
+function wakeIdleWaiters() {
+  const waiters = idleWaiters;
+  idleWaiters = [];
+  waiters.forEach((resolve) => resolve());
+}
+
+function reportUncaught(error) {
+  if (!uncaughtError) uncaughtError = error?.message || String(error);
+  wakeIdleWaiters();
+}
+
+function forgetTimer(id) {
+  pendingTimers.delete(id);
+  if (pendingTimers.size === 0) wakeIdleWaiters();
+}
+
+function guard(callback, args) {
+  if (typeof callback !== 'function') return;
+  try {
+    callback(...args);
+  } catch (error) {
+    reportUncaught(error);
+  }
+}
+
+self.setTimeout = (callback, delay, ...args) => {
+  const id = nativeSetTimeout(() => {
+    forgetTimer(id);
+    guard(callback, args);
+  }, delay);
+  pendingTimers.add(id);
+  return id;
+};
+
+self.setInterval = (callback, delay, ...args) => {
+  const id = nativeSetInterval(() => guard(callback, args), delay);
+  pendingTimers.add(id);
+  return id;
+};
+
+self.clearTimeout = (id) => {
+  nativeClearTimeout(id);
+  forgetTimer(id);
+};
+
+self.clearInterval = (id) => {
+  nativeClearInterval(id);
+  forgetTimer(id);
+};
+
+self.addEventListener('unhandledrejection', (event) => {
+  event.preventDefault();
+  reportUncaught(event.reason);
+});
+
+// Resolves once the microtask queue has drained and no learner timers remain
+// (or something threw asynchronously). The host's wall-clock timeout bounds
+// how long this can take, e.g. for an interval that is never cleared.
+async function waitUntilSettled() {
+  for (;;) {
+    await new Promise((resolve) => nativeSetTimeout(resolve, 0));
+    if (pendingTimers.size === 0 || uncaughtError) return;
+    await new Promise((resolve) => idleWaiters.push(resolve));
+  }
+}
+
+function formatDuration(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(3)}s` : `${Number(ms.toFixed(3))}ms`;
+}
+
+// A console whose methods each produce one output entry via emit(level, text),
+// following Node's formatting for groups, tables, counters and timers.
+function createCaptureConsole(emit) {
+  let groupIndent = '';
+  const counts = new Map();
+  const timers = new Map();
+
+  const write = (level, text) => {
+    emit(level, groupIndent ? text.replace(/^/gm, groupIndent) : text);
+  };
+  const writer = (level) => (...args) => write(level, formatLogArgs(args));
+  const elapsed = (label, method) => {
+    if (!timers.has(label)) {
+      write('warn', `Warning: No such label '${label}' for console.${method}()`);
+      return null;
+    }
+    return formatDuration(performance.now() - timers.get(label));
+  };
+  const group = (...labels) => {
+    if (labels.length > 0) write('log', formatLogArgs(labels));
+    groupIndent += '  ';
+  };
+
+  return {
+    log: writer('log'),
+    info: writer('info'),
+    debug: writer('debug'),
+    warn: writer('warn'),
+    error: writer('error'),
+    trace: (...args) => write('error', `Trace${args.length ? `: ${formatLogArgs(args)}` : ''}`),
+    dir: (value, options = {}) => {
+      const depth = options.depth === null ? Infinity : options.depth;
+      write('log', inspect(value, depth === undefined ? {} : { depth }));
+    },
+    table: (data, properties) => {
+      const table = formatTable(data, properties);
+      write('log', table === null ? formatLogArgs([data]) : table);
+    },
+    group,
+    groupCollapsed: group,
+    groupEnd: () => {
+      groupIndent = groupIndent.slice(2);
+    },
+    count: (label = 'default') => {
+      const key = `${label}`;
+      const count = (counts.get(key) || 0) + 1;
+      counts.set(key, count);
+      write('log', `${key}: ${count}`);
+    },
+    countReset: (label = 'default') => {
+      counts.delete(`${label}`);
+    },
+    time: (label = 'default') => {
+      const key = `${label}`;
+      if (timers.has(key)) {
+        write('warn', `Warning: Label '${key}' already exists for console.time()`);
+        return;
+      }
+      timers.set(key, performance.now());
+    },
+    timeLog: (label = 'default', ...data) => {
+      const key = `${label}`;
+      const duration = elapsed(key, 'timeLog');
+      if (duration !== null) {
+        write('log', `${key}: ${duration}${data.length ? ` ${formatLogArgs(data)}` : ''}`);
+      }
+    },
+    timeEnd: (label = 'default') => {
+      const key = `${label}`;
+      const duration = elapsed(key, 'timeEnd');
+      if (duration !== null) {
+        write('log', `${key}: ${duration}`);
+        timers.delete(key);
+      }
+    },
+    assert: (condition, ...args) => {
+      if (!condition) {
+        write('error', `Assertion failed${args.length ? `: ${formatLogArgs(args)}` : ''}`);
+      }
+    },
+    clear: () => {},
+  };
+}
+
+function deepEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+// Learner code is compiled as an async function body so top-level `await`
+// works. `console` is passed in as a parameter rather than patched globally,
+// so test runs can silence it without affecting the main program's timers.
+function compile(body) {
+  return new AsyncFunction('console', body);
+}
+
+const silentConsole = createCaptureConsole(() => {});
+
+// Each test re-runs the learner's code in a fresh function scope and then
+// evaluates the test body, so tests can call the learner's top-level
+// functions and classes without seeing state left over from other tests.
+async function runTest(code, test) {
+  try {
+    const func = compile(`${code}\n;return await (async function () {\n${test.code}\n})();`);
+    const actual = await func(silentConsole);
+    return {
+      name: test.name,
+      passed: deepEqual(actual, test.expected),
+      actual: inspect(actual),
+      expected: inspect(test.expected),
+      error: null,
+    };
+  } catch (error) {
+    return {
+      name: test.name,
+      passed: false,
+      actual: undefined,
+      expected: inspect(test.expected),
+      error: error?.message || String(error),
+    };
+  }
+}
+
+self.onmessage = async (event) => {
+  const { type, code, tests = [], maxOutputLines } = event.data || {};
+  if (type !== 'run') return;
+
+  let lineCount = 0;
+  let truncated = false;
+
+  // Stream output as it is produced so lines logged before a hang still show up
+  const captureConsole = createCaptureConsole((level, text) => {
+    if (lineCount >= maxOutputLines) {
+      if (!truncated) {
+        truncated = true;
+        self.postMessage({ type: 'truncated' });
+      }
+      return;
+    }
+    lineCount++;
+    self.postMessage({ type: 'log', level, text });
+  });
+
+  let outcome;
+  try {
+    const func = compile(code);
+    const result = await func(captureConsole);
+    await waitUntilSettled();
+    outcome = uncaughtError
+      ? { type: 'error', message: uncaughtError }
+      : { type: 'done', returnValue: result !== undefined ? inspect(result) : undefined };
+  } catch (error) {
+    outcome = { type: 'error', message: error?.message || String(error) };
+  }
+
+  for (const test of tests) {
+    self.postMessage({ type: 'test', result: await runTest(code, test) });
+  }
+
+  self.postMessage(outcome);
+};
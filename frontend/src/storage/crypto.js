@@ -48,3 +48,52 @@ export async function derivePinHashBase64(pin, saltBase64, iterations = 100_000)
 }
 
 
+
+// AES-GCM key derived from a PIN or passphrase. Uses the same PBKDF2 settings
+// as PIN hashes, but callers must use a different salt for each purpose.
+export async function deriveAesKey(secret, saltBase64, iterations = 100_000) {
+  if (!crypto?.subtle) {
+    throw new Error('WebCrypto is not available in this browser');
+  }
+
+  const enc = new TextEncoder();
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    enc.encode(String(secret)),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    {
+      name: 'PBKDF2',
+      salt: fromBase64(saltBase64),
+      iterations,
+      hash: 'SHA-256',
+    },
+    keyMaterial,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// Returns { iv, ciphertext }, both base64. A fresh 96-bit IV is used every time.
+export async function encryptJson(key, value) {
+  const iv = new Uint8Array(12);
+  crypto.getRandomValues(iv);
+  const plaintext = new TextEncoder().encode(JSON.stringify(value));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  return { iv: toBase64(iv), ciphertext: toBase64(new Uint8Array(ciphertext)) };
+}
+
+// Throws if the key is wrong or the data was tampered with (GCM authentication fails).
+export async function decryptJson(key, { iv, ciphertext }) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv) },
+    key,
+    fromBase64(ciphertext)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
@@ -1,43 +1,68 @@
 import { openDB } from 'idb';
+import { LATEST_VERSION, runMigrations } from './migrations';
+import { STORES } from './stores';
 
 export const DB_NAME = 'engineerDevApp';
-export const DB_VERSION = 1;
+export const DB_VERSION = LATEST_VERSION;
 
-export const STORES = {
-  profiles: 'profiles',
-  progress: 'progress',
-  quizResults: 'quizResults',
-};
+export { STORES };
 
 let dbPromise;
+const listeners = new Set();
+
+function notify(event) {
+  listeners.forEach((listener) => listener(event));
+}
+
+// Lets the UI react to connection changes. Events:
+//   { type: 'blocked' }    our upgrade is waiting for other tabs to close
+//   { type: 'open' }       the connection is ready (e.g. after being blocked)
+//   { type: 'outdated' }   another tab upgraded the database; this tab must reload
+//   { type: 'terminated' } the browser closed the connection unexpectedly
+export function subscribeDbEvents(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
 
 export function getDb() {
   if (!dbPromise) {
+    // idb doesn't wait on upgrade(), so a failed migration is kept here and
+    // reported instead of the AbortError it causes
+    let migrationError = null;
     dbPromise = openDB(DB_NAME, DB_VERSION, {
-      upgrade(db) {
-        if (!db.objectStoreNames.contains(STORES.profiles)) {
-          db.createObjectStore(STORES.profiles, { keyPath: 'profileId' });
-        }
-
-        if (!db.objectStoreNames.contains(STORES.progress)) {
-          const store = db.createObjectStore(STORES.progress, {
-            keyPath: ['profileId', 'lessonId'],
-          });
-          store.createIndex('byProfileId', 'profileId');
-        }
-
-        if (!db.objectStoreNames.contains(STORES.quizResults)) {
-          const store = db.createObjectStore(STORES.quizResults, {
-            keyPath: 'id',
-            autoIncrement: true,
-          });
-          store.createIndex('byProfileId', 'profileId');
-          store.createIndex('byProfileQuizId', ['profileId', 'quizId']);
-        }
+      upgrade(db, oldVersion, newVersion, transaction) {
+        runMigrations(db, oldVersion, newVersion, transaction).catch((e) => {
+          migrationError = e;
+        });
       },
+      blocked() {
+        notify({ type: 'blocked' });
+      },
+      // Another tab wants to upgrade: step aside so it isn't stuck waiting on us
+      blocking(currentVersion, blockedVersion, event) {
+        event.target.close();
+        dbPromise = null;
+        notify({ type: 'outdated' });
+      },
+      terminated() {
+        dbPromise = null;
+        notify({ type: 'terminated' });
+      },
+    }).catch((e) => {
+      throw migrationError || e;
     });
+    dbPromise.then(
+      () => notify({ type: 'open' }),
+      () => {
+        dbPromise = null;
+      }
+    );
   }
   return dbPromise;
 }
 
-
+// Version and history of applied migrations, as recorded in the meta store.
+export async function getSchemaInfo() {
+  const db = await getDb();
+  return db.get(STORES.meta, 'schema');
+}
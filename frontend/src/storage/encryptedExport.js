@@ -0,0 +1,64 @@
+import { decryptJson, deriveAesKey, encryptJson, generateSaltBase64 } from './crypto';
+
+// Passphrase-protected wrapper around a normal export. The envelope is
+// versioned separately from the export inside it:
+//   { format, version, kdf: { name, hash, iterations }, cipher, salt, iv, ciphertext }
+const ENVELOPE_FORMAT = 'eda-encrypted-export';
+const ENVELOPE_VERSION = 1;
+const KDF_ITERATIONS = 250_000;
+// Accepted range when importing: weaker files aren't worth trusting, and a
+// crafted count far above ours would freeze the import deriving the key
+const MIN_KDF_ITERATIONS = 100_000;
+const MAX_KDF_ITERATIONS = KDF_ITERATIONS * 10;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+export function isEncryptedExport(data) {
+  return Boolean(data) && typeof data === 'object' && data.format === ENVELOPE_FORMAT;
+}
+
+export async function encryptExport(data, passphrase) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+
+  const salt = generateSaltBase64();
+  const key = await deriveAesKey(passphrase, salt, KDF_ITERATIONS);
+  const { iv, ciphertext } = await encryptJson(key, data);
+
+  return {
+    format: ENVELOPE_FORMAT,
+    version: ENVELOPE_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: KDF_ITERATIONS },
+    cipher: 'AES-GCM',
+    salt,
+    iv,
+    ciphertext,
+  };
+}
+
+// Returns the export inside the envelope, ready for importProfileData.
+export async function decryptExport(envelope, passphrase) {
+  if (!isEncryptedExport(envelope)) throw new Error('Not an encrypted export');
+  if (envelope.version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported encrypted export version: ${envelope.version}`);
+  }
+  const { kdf, cipher, salt, iv, ciphertext } = envelope;
+  if (kdf?.name !== 'PBKDF2' || kdf?.hash !== 'SHA-256' || !Number.isInteger(kdf?.iterations)) {
+    throw new Error('Encrypted export has an unsupported key derivation');
+  }
+  if (kdf.iterations < MIN_KDF_ITERATIONS || kdf.iterations > MAX_KDF_ITERATIONS) {
+    throw new Error(`Encrypted export uses an unsupported iteration count (${kdf.iterations})`);
+  }
+  if (cipher !== 'AES-GCM') throw new Error('Encrypted export has an unsupported cipher');
+  if (typeof salt !== 'string' || typeof iv !== 'string' || typeof ciphertext !== 'string') {
+    throw new Error('Encrypted export is missing its salt, iv or ciphertext');
+  }
+
+  const key = await deriveAesKey(passphrase, salt, kdf.iterations);
+  try {
+    return await decryptJson(key, { iv, ciphertext });
+  } catch {
+    throw new Error('Incorrect passphrase, or the file is damaged');
+  }
+}
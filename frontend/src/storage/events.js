@@ -0,0 +1,40 @@
+// Tells other open tabs about writes, so their in-memory state doesn't go
+// stale. Storage functions publish after their write has committed; the tab
+// that made the change has already updated itself and doesn't get its own
+// messages. Changes:
+//   { type: 'progress', profileId }         a lesson was marked (in)complete
+//   { type: 'quizResults', profileId }      a quiz attempt was saved
+//   { type: 'exerciseResults', profileId }  an exercise attempt was saved
+//   { type: 'settings', profileId }         profile settings changed
+//   { type: 'profile', profileId }          created, renamed, PIN set/changed/removed
+//   { type: 'profileData', profileId }      data replaced wholesale (import, restore)
+//   { type: 'profileDeleted', profileId }
+const CHANNEL_NAME = 'eda-storage';
+
+let channel;
+const listeners = new Set();
+
+function getChannel() {
+  if (channel === undefined) {
+    channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(CHANNEL_NAME);
+    if (channel) {
+      channel.onmessage = (event) => listeners.forEach((listener) => listener(event.data));
+    }
+  }
+  return channel;
+}
+
+export function publishChange(type, profileId) {
+  try {
+    getChannel()?.postMessage({ type, profileId });
+  } catch (e) {
+    console.error('Failed to broadcast change:', e);
+  }
+}
+
+// Calls `listener` with each change made in another tab. Returns an unsubscribe function.
+export function subscribeChanges(listener) {
+  getChannel();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
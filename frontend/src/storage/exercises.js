@@ -0,0 +1,56 @@
+import { STORES } from './db';
+import { openRows, sealRow } from './vault';
+import { publishChange } from './events';
+import { getRepositories } from './repositories';
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+export async function submitExerciseResult(profileId, exerciseId, passed, code) {
+  const completedAt = nowIso();
+
+  const id = await getRepositories().exerciseResults.add(
+    await sealRow(STORES.exerciseResults, {
+      profileId,
+      exerciseId,
+      passed: Boolean(passed),
+      code,
+      completedAt,
+    })
+  );
+  publishChange('exerciseResults', profileId);
+
+  return { id, completedAt };
+}
+
+// One entry per exercise: whether it has ever been passed, when it was first
+// passed (or last attempted, if never), and how many runs were recorded.
+export async function getBestExerciseResults(profileId) {
+  const rows = await openRows(profileId, await getRepositories().exerciseResults.listByProfile(profileId));
+  rows.sort((a, b) => (a.completedAt || '').localeCompare(b.completedAt || ''));
+
+  const best = {};
+  for (const r of rows) {
+    const prev = best[r.exerciseId];
+    if (!prev) {
+      best[r.exerciseId] = { passed: r.passed, completedAt: r.completedAt, attempts: 1 };
+      continue;
+    }
+    prev.attempts++;
+    if (!prev.passed) {
+      prev.passed = r.passed;
+      prev.completedAt = r.completedAt;
+    }
+  }
+
+  return best;
+}
+
+export async function getExerciseResultsByExerciseId(profileId, exerciseId) {
+  const rows = await openRows(
+    profileId,
+    await getRepositories().exerciseResults.listByProfileExercise(profileId, exerciseId)
+  );
+  return rows.sort((a, b) => (b.completedAt || '').localeCompare(a.completedAt || ''));
+}
@@ -1,16 +1,47 @@
-import { getDb, STORES } from './db';
+import { STORES } from './db';
 import { createProfile, getProfile } from './profiles';
+import { DEFAULT_PROFILE_SETTINGS } from './profileSettings';
+import { EXPORT_VERSION, parseExport } from './exportSchema';
+import { planImport } from './importPlan';
+import { openRows, sealRows } from './vault';
+import { getRepositories } from './repositories';
+import { publishChange } from './events';
+
+// Every store that holds per-profile rows (besides the profile and its settings).
+const ROW_STORES = [
+  STORES.progress,
+  STORES.quizResults,
+  STORES.quizDrafts,
+  STORES.exerciseResults,
+  STORES.savedCode,
+];
 
 export async function exportProfileData(profileId) {
-  const db = await getDb();
-  const profile = await db.get(STORES.profiles, profileId);
+  const repos = getRepositories();
+  const profile = await repos.profiles.get(profileId);
   if (!profile) throw new Error('Profile not found');
 
-  const progressRows = await db.getAllFromIndex(STORES.progress, 'byProfileId', profileId);
-  const quizRows = await db.getAllFromIndex(STORES.quizResults, 'byProfileId', profileId);
+  const settingsRow = await repos.profileSettings.get(profileId);
+  return buildExport(profile, settingsRow?.settings, {
+    [STORES.progress]: await openRows(profileId, await repos.progress.listByProfile(profileId)),
+    [STORES.quizResults]: await openRows(profileId, await repos.quizResults.listByProfile(profileId)),
+    [STORES.quizDrafts]: await openRows(profileId, await repos.quizDrafts.listByProfile(profileId)),
+    [STORES.exerciseResults]: await openRows(profileId, await repos.exerciseResults.listByProfile(profileId)),
+    [STORES.savedCode]: await openRows(profileId, await repos.savedCode.listByProfile(profileId)),
+  });
+}
+
+// The export object for a profile record, its settings and its decrypted
+// rows keyed by store name (missing stores export as empty).
+export function buildExport(profile, settings, rows) {
+  const progressRows = rows[STORES.progress] || [];
+  const quizRows = rows[STORES.quizResults] || [];
+  const quizDraftRows = rows[STORES.quizDrafts] || [];
+  const exerciseRows = rows[STORES.exerciseResults] || [];
+  const codeRows = rows[STORES.savedCode] || [];
 
   return {
-    version: 1,
+    version: EXPORT_VERSION,
     exportedAt: new Date().toISOString(),
     profile: {
       profileId: profile.profileId,
@@ -19,6 +50,7 @@ export async function exportProfileData(profileId) {
       updatedAt: profile.updatedAt,
       // Intentionally omit PIN hash/salt on export by default.
     },
+    settings: { ...DEFAULT_PROFILE_SETTINGS, ...(settings || {}) },
     progress: progressRows.map((r) => ({
       lessonId: r.lessonId,
       completed: Boolean(r.completed),
@@ -28,70 +60,126 @@ export async function exportProfileData(profileId) {
       quizId: r.quizId,
       score: r.score,
       totalQuestions: r.totalQuestions,
-      answers: r.answers,
+      percentage: r.percentage ?? null,
+      answers: r.answers || {},
+      completedAt: r.completedAt,
+    })),
+    quizDrafts: quizDraftRows.map((r) => ({
+      quizId: r.quizId,
+      answers: r.answers || {},
+      submitted: Boolean(r.submitted),
+      score: r.score ?? null,
+      updatedAt: r.updatedAt || null,
+    })),
+    exerciseResults: exerciseRows.map((r) => ({
+      exerciseId: r.exerciseId,
+      passed: Boolean(r.passed),
+      code: r.code || '',
       completedAt: r.completedAt,
     })),
+    savedCode: codeRows.map((r) => ({
+      exerciseId: r.exerciseId,
+      code: r.code,
+      updatedAt: r.updatedAt || null,
+    })),
   };
 }
 
-export async function importProfileData(data, { overwriteProfileId = null } = {}) {
-  if (!data || typeof data !== 'object') throw new Error('Invalid import file');
-  if (data.version !== 1) throw new Error('Unsupported import version');
+async function loadPlan(raw, { strategy, overwriteProfileId }) {
+  const data = parseExport(raw);
+  const resolved = strategy || (overwriteProfileId ? 'merge' : 'new');
 
-  const name = data.profile?.name;
-  if (!name) throw new Error('Import is missing profile name');
+  let existing = null;
+  if (resolved !== 'new') {
+    if (!overwriteProfileId) throw new Error('Choose a profile to import into');
+    const target = await getProfile(overwriteProfileId);
+    if (!target) throw new Error('Target profile not found');
+    existing = await exportProfileData(overwriteProfileId);
+  }
 
-  const db = await getDb();
+  return { data, plan: planImport(data, existing, resolved) };
+}
 
-  let profileId = overwriteProfileId;
-  if (profileId) {
-    const existing = await getProfile(profileId);
-    if (!existing) throw new Error('Target profile not found');
-  } else {
-    const created = await createProfile({ name });
-    profileId = created.profileId;
-  }
+// Describes what importing `raw` would change without writing anything.
+// Returns { profile, exportedAt, plan } (see planImport for the plan's shape).
+export async function previewImport(raw, { strategy = null, overwriteProfileId = null } = {}) {
+  const { data, plan } = await loadPlan(raw, { strategy, overwriteProfileId });
+  return { profile: data.profile, exportedAt: data.exportedAt, plan };
+}
 
-  const tx = db.transaction([STORES.profiles, STORES.progress, STORES.quizResults], 'readwrite');
+// Accepts v1 and v2 exports; throws with field-level messages if the file is invalid.
+// `strategy` is 'new' (default), 'merge' or 'replace'; the latter two import
+// into `overwriteProfileId` (which on its own implies 'merge').
+export async function importProfileData(raw, { strategy = null, overwriteProfileId = null } = {}) {
+  const { plan } = await loadPlan(raw, { strategy, overwriteProfileId });
 
-  // Overwrite name if provided (but keep PIN as-is)
-  const profile = await tx.objectStore(STORES.profiles).get(profileId);
-  if (profile) {
-    profile.name = name;
-    profile.updatedAt = new Date().toISOString();
-    await tx.objectStore(STORES.profiles).put(profile);
+  let profileId = overwriteProfileId;
+  if (plan.strategy === 'new') {
+    const created = await createProfile({ name: plan.name });
+    profileId = created.profileId;
   }
 
-  // Insert/overwrite progress rows
-  const progressStore = tx.objectStore(STORES.progress);
-  for (const p of data.progress || []) {
-    if (!p.lessonId) continue;
-    await progressStore.put({
+  const now = new Date().toISOString();
+  // Rows are built (and encrypted, for PIN profiles) up front because
+  // WebCrypto calls can't happen inside the transaction
+  const rows = {
+    [STORES.progress]: plan.writes.progress.map((p) => ({
       profileId,
       lessonId: p.lessonId,
-      completed: Boolean(p.completed),
+      completed: p.completed,
       completedAt: p.completedAt || null,
-    });
-  }
-
-  // Insert quiz rows (append)
-  const quizStore = tx.objectStore(STORES.quizResults);
-  for (const q of data.quizResults || []) {
-    if (!q.quizId) continue;
-    await quizStore.add({
+    })),
+    [STORES.quizResults]: plan.writes.quizResults.map((q) => ({
       profileId,
       quizId: q.quizId,
       score: q.score,
       totalQuestions: q.totalQuestions,
-      answers: q.answers || {},
-      completedAt: q.completedAt || new Date().toISOString(),
+      answers: q.answers,
+      completedAt: q.completedAt,
       percentage:
-        q.totalQuestions ? Math.round((q.score / q.totalQuestions) * 100) : undefined,
-    });
+        q.percentage ?? (q.totalQuestions ? Math.round((q.score / q.totalQuestions) * 100) : undefined),
+    })),
+    [STORES.quizDrafts]: plan.writes.quizDrafts.map((d) => ({
+      profileId,
+      quizId: d.quizId,
+      answers: d.answers,
+      submitted: d.submitted,
+      score: d.score ?? null,
+      updatedAt: d.updatedAt || now,
+    })),
+    [STORES.exerciseResults]: plan.writes.exerciseResults.map((r) => ({
+      profileId,
+      exerciseId: r.exerciseId,
+      passed: r.passed,
+      code: r.code,
+      completedAt: r.completedAt,
+    })),
+    [STORES.savedCode]: plan.writes.savedCode.map((c) => ({
+      profileId,
+      exerciseId: c.exerciseId,
+      code: c.code,
+      updatedAt: c.updatedAt || now,
+    })),
+  };
+  for (const storeName of ROW_STORES) {
+    rows[storeName] = await sealRows(storeName, profileId, rows[storeName]);
   }
 
-  await tx.done;
+  // Attempts have no id yet, so they are appended (the plan has already
+  // dropped duplicates when merging); rows keyed by lesson, quiz or exercise
+  // are inserted/overwritten. Replacing starts from an empty profile (the
+  // profile record and PIN stay).
+  await getRepositories().profileData.write(profileId, {
+    rows,
+    clearExisting: plan.clearExisting,
+    // Overwrite name if provided (but keep PIN as-is)
+    updateProfile: (profile) => profile && { ...profile, name: plan.name, updatedAt: now },
+    settings: {
+      profileId,
+      settings: { ...DEFAULT_PROFILE_SETTINGS, ...plan.settings },
+      updatedAt: now,
+    },
+  });
+  publishChange('profileData', profileId);
   return profileId;
 }
-
-
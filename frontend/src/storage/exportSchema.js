@@ -0,0 +1,187 @@
+import { DEFAULT_PROFILE_SETTINGS } from './profileSettings';
+
+// Shape of a profile export file. Field types:
+//   'string'   any string           'id'       non-empty string
+//   'date'     ISO 8601 timestamp   'boolean'  true/false
+//   'count'    integer >= 0         'percent'  number from 0 to 100
+//   'answers'  { [questionIndex]: optionIndex }
+// A trailing '?' means the field may be missing or null.
+export const EXPORT_VERSION = 2;
+
+const PROFILE_FIELDS = {
+  profileId: 'id?',
+  name: 'id',
+  createdAt: 'date?',
+  updatedAt: 'date?',
+};
+
+const SETTINGS_FIELDS = {
+  sidebarOpen: 'boolean?',
+  idleLockMinutes: 'count?',
+};
+
+const SECTIONS = {
+  progress: {
+    lessonId: 'id',
+    completed: 'boolean',
+    completedAt: 'date?',
+  },
+  quizResults: {
+    quizId: 'id',
+    score: 'count',
+    totalQuestions: 'count',
+    percentage: 'percent?',
+    answers: 'answers',
+    completedAt: 'date',
+  },
+  quizDrafts: {
+    quizId: 'id',
+    answers: 'answers',
+    submitted: 'boolean',
+    score: 'count?',
+    updatedAt: 'date?',
+  },
+  exerciseResults: {
+    exerciseId: 'id',
+    passed: 'boolean',
+    code: 'string',
+    completedAt: 'date',
+  },
+  savedCode: {
+    exerciseId: 'id',
+    code: 'string',
+    updatedAt: 'date?',
+  },
+};
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const CHECKS = {
+  string: (v) => typeof v === 'string' || 'expected a string',
+  id: (v) => (typeof v === 'string' && v.trim() !== '') || 'expected a non-empty string',
+  date: (v) =>
+    (typeof v === 'string' && ISO_DATE_RE.test(v) && !Number.isNaN(Date.parse(v))) ||
+    'expected an ISO 8601 date',
+  boolean: (v) => typeof v === 'boolean' || 'expected true or false',
+  count: (v) => (Number.isInteger(v) && v >= 0) || 'expected a whole number >= 0',
+  percent: (v) => (typeof v === 'number' && v >= 0 && v <= 100) || 'expected a number from 0 to 100',
+  answers: (v) =>
+    (isPlainObject(v) &&
+      Object.entries(v).every(([k, a]) => /^\d+$/.test(k) && Number.isInteger(a) && a >= 0)) ||
+    'expected an object mapping question numbers to option numbers',
+};
+
+function validateFields(value, fields, path, errors) {
+  if (!isPlainObject(value)) {
+    errors.push(`${path}: expected an object`);
+    return;
+  }
+  for (const key of Object.keys(value)) {
+    if (!(key in fields)) errors.push(`${path}.${key}: unknown field`);
+  }
+  for (const [key, spec] of Object.entries(fields)) {
+    const optional = spec.endsWith('?');
+    const type = optional ? spec.slice(0, -1) : spec;
+    const v = value[key];
+    if (v === undefined || v === null) {
+      if (!optional) errors.push(`${path}.${key}: is required`);
+      continue;
+    }
+    const result = CHECKS[type](v);
+    if (result !== true) errors.push(`${path}.${key}: ${result}`);
+  }
+}
+
+// Returns a list of "path: problem" messages; empty when `data` is a valid v2 export.
+export function validateExport(data) {
+  const errors = [];
+  if (!isPlainObject(data)) return ['expected a JSON object'];
+
+  const known = new Set(['version', 'exportedAt', 'profile', 'settings', ...Object.keys(SECTIONS)]);
+  for (const key of Object.keys(data)) {
+    if (!known.has(key)) errors.push(`${key}: unknown field`);
+  }
+
+  if (data.version !== EXPORT_VERSION) errors.push(`version: expected ${EXPORT_VERSION}`);
+  const exportedAt = CHECKS.date(data.exportedAt);
+  if (exportedAt !== true) errors.push(`exportedAt: ${exportedAt}`);
+
+  validateFields(data.profile, PROFILE_FIELDS, 'profile', errors);
+  validateFields(data.settings, SETTINGS_FIELDS, 'settings', errors);
+
+  for (const [section, fields] of Object.entries(SECTIONS)) {
+    const rows = data[section];
+    if (!Array.isArray(rows)) {
+      errors.push(`${section}: expected an array`);
+      continue;
+    }
+    rows.forEach((row, i) => validateFields(row, fields, `${section}[${i}]`, errors));
+  }
+
+  (Array.isArray(data.quizResults) ? data.quizResults : []).forEach((r, i) => {
+    if (Number.isInteger(r?.score) && Number.isInteger(r?.totalQuestions) && r.score > r.totalQuestions) {
+      errors.push(`quizResults[${i}].score: is greater than totalQuestions`);
+    }
+  });
+
+  return errors;
+}
+
+// v1 files only carried the profile, progress and quiz results (plus saved
+// code from later v1 builds). Fill in the rest with empty sections.
+function upgradeV1(data) {
+  const profile = isPlainObject(data.profile) ? data.profile : {};
+  return {
+    version: EXPORT_VERSION,
+    exportedAt: data.exportedAt || new Date().toISOString(),
+    profile: {
+      profileId: profile.profileId ?? null,
+      name: profile.name,
+      createdAt: profile.createdAt ?? null,
+      updatedAt: profile.updatedAt ?? null,
+    },
+    settings: { ...DEFAULT_PROFILE_SETTINGS },
+    progress: (data.progress || []).map((p) => ({
+      lessonId: p?.lessonId,
+      completed: Boolean(p?.completed),
+      completedAt: p?.completedAt || null,
+    })),
+    quizResults: (data.quizResults || []).map((q) => ({
+      quizId: q?.quizId,
+      score: q?.score,
+      totalQuestions: q?.totalQuestions,
+      percentage: q?.totalQuestions ? Math.round((q.score / q.totalQuestions) * 100) : null,
+      answers: q?.answers || {},
+      completedAt: q?.completedAt || new Date().toISOString(),
+    })),
+    quizDrafts: [],
+    exerciseResults: [],
+    savedCode: (data.savedCode || []).map((c) => ({
+      exerciseId: c?.exerciseId,
+      code: c?.code,
+      updatedAt: c?.updatedAt || null,
+    })),
+  };
+}
+
+// Upgrades older exports and validates the result. Throws with every
+// field-level problem listed when the file can't be imported.
+export function parseExport(data) {
+  if (!isPlainObject(data)) throw new Error('Invalid import file: expected a JSON object');
+  if (data.version !== 1 && data.version !== EXPORT_VERSION) {
+    throw new Error(`Unsupported import version: ${data.version}`);
+  }
+
+  const upgraded = data.version === 1 ? upgradeV1(data) : data;
+  const errors = validateExport(upgraded);
+  if (errors.length > 0) {
+    const shown = errors.slice(0, 10);
+    if (errors.length > shown.length) shown.push(`…and ${errors.length - shown.length} more`);
+    throw new Error(`Invalid import file:\n${shown.join('\n')}`);
+  }
+  return upgraded;
+}
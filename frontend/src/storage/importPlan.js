@@ -0,0 +1,134 @@
+// Works out what an import will change before anything is written. Both the
+// incoming file and the target profile are in export (v2) form, so the same
+// plan drives the preview shown to the user and the actual import.
+//
+// Strategies:
+//   'new'     create a new profile from the file
+//   'merge'   combine the file with an existing profile
+//   'replace' wipe an existing profile's data and load the file in its place
+
+export const IMPORT_STRATEGIES = ['new', 'merge', 'replace'];
+
+export const SECTION_LABELS = {
+  progress: 'Lesson progress',
+  quizResults: 'Quiz attempts',
+  quizDrafts: 'Quiz drafts',
+  exerciseResults: 'Exercise attempts',
+  savedCode: 'Saved code',
+};
+
+function newer(a, b) {
+  return (b || '') > (a || '');
+}
+
+function answersKey(answers) {
+  return Object.keys(answers)
+    .sort((a, b) => Number(a) - Number(b))
+    .map((k) => `${k}:${answers[k]}`)
+    .join(',');
+}
+
+// Attempts are append-only history, so two rows with the same content are the same attempt
+const attemptKeys = {
+  quizResults: (r) => [r.quizId, r.score, r.totalQuestions, r.completedAt, answersKey(r.answers)].join('|'),
+  exerciseResults: (r) => [r.exerciseId, r.passed, r.completedAt, r.code].join('|'),
+};
+
+// Rows with one value per lesson/quiz/exercise, and which of two to keep when merging
+const keyedSections = {
+  progress: {
+    key: (r) => r.lessonId,
+    // Never un-complete a lesson; otherwise keep the newest completion
+    pick: (existing, incoming) => {
+      if (existing.completed !== incoming.completed) return existing.completed ? existing : incoming;
+      return newer(existing.completedAt, incoming.completedAt) ? incoming : existing;
+    },
+  },
+  quizDrafts: {
+    key: (r) => r.quizId,
+    pick: (existing, incoming) => (newer(existing.updatedAt, incoming.updatedAt) ? incoming : existing),
+  },
+  savedCode: {
+    key: (r) => r.exerciseId,
+    pick: (existing, incoming) => (newer(existing.updatedAt, incoming.updatedAt) ? incoming : existing),
+  },
+};
+
+function mergeKeyed(section, existingRows, incomingRows) {
+  const { key, pick } = keyedSections[section];
+  const byKey = new Map(existingRows.map((r) => [key(r), r]));
+  const writes = [];
+  const summary = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+
+  for (const incoming of incomingRows) {
+    const existing = byKey.get(key(incoming));
+    if (!existing) {
+      writes.push(incoming);
+      summary.added++;
+    } else if (pick(existing, incoming) === incoming && JSON.stringify(existing) !== JSON.stringify(incoming)) {
+      writes.push(incoming);
+      summary.updated++;
+    } else {
+      summary.unchanged++;
+    }
+  }
+  return { writes, summary };
+}
+
+function mergeAttempts(section, existingRows, incomingRows) {
+  const key = attemptKeys[section];
+  const seen = new Set(existingRows.map(key));
+  const writes = [];
+  const summary = { added: 0, updated: 0, unchanged: 0, removed: 0 };
+
+  for (const incoming of incomingRows) {
+    const k = key(incoming);
+    if (seen.has(k)) {
+      summary.unchanged++;
+    } else {
+      seen.add(k);
+      writes.push(incoming);
+      summary.added++;
+    }
+  }
+  return { writes, summary };
+}
+
+// `data` is a parsed v2 export; `existing` is the target profile's own export
+// (null for the 'new' strategy). Returns { strategy, name, settings, clearExisting,
+// writes: { [section]: rows }, summary: { [section]: { added, updated, unchanged, removed } } }.
+export function planImport(data, existing, strategy) {
+  if (!IMPORT_STRATEGIES.includes(strategy)) throw new Error(`Unknown import strategy: ${strategy}`);
+  if (strategy !== 'new' && !existing) throw new Error('Choose a profile to import into');
+
+  const plan = {
+    strategy,
+    name: strategy === 'merge' ? existing.profile.name : data.profile.name,
+    settings: strategy === 'merge' ? existing.settings : data.settings,
+    clearExisting: strategy === 'replace',
+    writes: {},
+    summary: {},
+  };
+
+  for (const section of Object.keys(SECTION_LABELS)) {
+    const incomingRows = data[section];
+    if (strategy !== 'merge') {
+      plan.writes[section] = incomingRows;
+      plan.summary[section] = {
+        added: incomingRows.length,
+        updated: 0,
+        unchanged: 0,
+        removed: strategy === 'replace' ? existing[section].length : 0,
+      };
+      continue;
+    }
+
+    const merged = keyedSections[section]
+      ? mergeKeyed(section, existing[section], incomingRows)
+      : mergeAttempts(section, existing[section], incomingRows);
+    plan.writes[section] = merged.writes;
+    plan.summary[section] = merged.summary;
+  }
+
+  return plan;
+}
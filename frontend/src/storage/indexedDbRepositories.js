@@ -0,0 +1,254 @@
+import { getDb, STORES } from './db';
+import { PROFILE_ROW_STORES } from './stores';
+
+async function deleteProfileRows(store, profileId) {
+  let cursor = await store.index('byProfileId').openCursor(IDBKeyRange.only(profileId));
+  while (cursor) {
+    await cursor.delete();
+    cursor = await cursor.continue();
+  }
+}
+
+// Stores each row unless one with the same key is already there
+async function putMissing(storeName, rows, keyOf) {
+  const db = await getDb();
+  const tx = db.transaction(storeName, 'readwrite');
+  for (const row of rows) {
+    const existing = await tx.store.get(keyOf(row));
+    if (!existing) await tx.store.put(row);
+  }
+  await tx.done;
+}
+
+// The default backend: everything in the browser's IndexedDB (see db.js).
+export function createIndexedDbRepositories() {
+  return {
+    kind: 'indexeddb',
+
+    profiles: {
+      async list() {
+        const db = await getDb();
+        return db.getAll(STORES.profiles);
+      },
+      async get(profileId) {
+        const db = await getDb();
+        return db.get(STORES.profiles, profileId);
+      },
+      async put(profile) {
+        const db = await getDb();
+        await db.put(STORES.profiles, profile);
+      },
+      // The profile and every row it owns, in one transaction
+      async delete(profileId) {
+        const db = await getDb();
+        const tx = db.transaction(
+          [STORES.profiles, STORES.profileSettings, STORES.pinAttempts, ...PROFILE_ROW_STORES],
+          'readwrite'
+        );
+
+        await tx.objectStore(STORES.profiles).delete(profileId);
+        await tx.objectStore(STORES.profileSettings).delete(profileId);
+        await tx.objectStore(STORES.pinAttempts).delete(profileId);
+
+        for (const storeName of PROFILE_ROW_STORES) {
+          await deleteProfileRows(tx.objectStore(storeName), profileId);
+        }
+
+        await tx.done;
+      },
+    },
+
+    profileData: {
+      // Read in one transaction so the stores agree with each other
+      async listRows(profileId) {
+        const db = await getDb();
+        const tx = db.transaction(PROFILE_ROW_STORES, 'readonly');
+        const rows = {};
+        for (const storeName of PROFILE_ROW_STORES) {
+          rows[storeName] = await tx.objectStore(storeName).index('byProfileId').getAll(profileId);
+        }
+        await tx.done;
+        return rows;
+      },
+      async write(profileId, { rows = {}, settings, updateProfile, clearExisting = false }) {
+        const db = await getDb();
+        const tx = db.transaction(
+          [STORES.profiles, STORES.profileSettings, ...PROFILE_ROW_STORES],
+          'readwrite'
+        );
+
+        if (clearExisting) {
+          for (const storeName of PROFILE_ROW_STORES) {
+            await deleteProfileRows(tx.objectStore(storeName), profileId);
+          }
+        }
+
+        if (updateProfile) {
+          const profiles = tx.objectStore(STORES.profiles);
+          const profile = updateProfile(await profiles.get(profileId));
+          if (profile) await profiles.put(profile);
+        }
+
+        if (settings) await tx.objectStore(STORES.profileSettings).put(settings);
+
+        // put() also inserts: attempts without an id get a new one
+        for (const [storeName, storeRows] of Object.entries(rows)) {
+          const store = tx.objectStore(storeName);
+          for (const row of storeRows) await store.put(row);
+        }
+
+        await tx.done;
+      },
+    },
+
+    progress: {
+      async listByProfile(profileId) {
+        const db = await getDb();
+        return db.getAllFromIndex(STORES.progress, 'byProfileId', profileId);
+      },
+      async put(row) {
+        const db = await getDb();
+        await db.put(STORES.progress, row);
+      },
+    },
+
+    quizResults: {
+      async listByProfile(profileId) {
+        const db = await getDb();
+        return db.getAllFromIndex(STORES.quizResults, 'byProfileId', profileId);
+      },
+      async listByProfileQuiz(profileId, quizId) {
+        const db = await getDb();
+        return db.getAllFromIndex(STORES.quizResults, 'byProfileQuizId', [profileId, quizId]);
+      },
+      async add(row) {
+        const db = await getDb();
+        return db.add(STORES.quizResults, row);
+      },
+    },
+
+    quizDrafts: {
+      async get(profileId, quizId) {
+        const db = await getDb();
+        return db.get(STORES.quizDrafts, [profileId, quizId]);
+      },
+      async listByProfile(profileId) {
+        const db = await getDb();
+        return db.getAllFromIndex(STORES.quizDrafts, 'byProfileId', profileId);
+      },
+      async put(row) {
+        const db = await getDb();
+        await db.put(STORES.quizDrafts, row);
+      },
+      async putMissing(rows) {
+        await putMissing(STORES.quizDrafts, rows, (row) => [row.profileId, row.quizId]);
+      },
+      async delete(profileId, quizId) {
+        const db = await getDb();
+        await db.delete(STORES.quizDrafts, [profileId, quizId]);
+      },
+    },
+
+    exerciseResults: {
+      async listByProfile(profileId) {
+        const db = await getDb();
+        return db.getAllFromIndex(STORES.exerciseResults, 'byProfileId', profileId);
+      },
+      async listByProfileExercise(profileId, exerciseId) {
+        const db = await getDb();
+        return db.getAllFromIndex(STORES.exerciseResults, 'byProfileExerciseId', [profileId, exerciseId]);
+      },
+      async add(row) {
+        const db = await getDb();
+        return db.add(STORES.exerciseResults, row);
+      },
+    },
+
+    savedCode: {
+      async get(profileId, exerciseId) {
+        const db = await getDb();
+        return db.get(STORES.savedCode, [profileId, exerciseId]);
+      },
+      async listByProfile(profileId) {
+        const db = await getDb();
+        return db.getAllFromIndex(STORES.savedCode, 'byProfileId', profileId);
+      },
+      async put(row) {
+        const db = await getDb();
+        await db.put(STORES.savedCode, row);
+      },
+      async putMissing(rows) {
+        await putMissing(STORES.savedCode, rows, (row) => [row.profileId, row.exerciseId]);
+      },
+      async delete(profileId, exerciseId) {
+        const db = await getDb();
+        await db.delete(STORES.savedCode, [profileId, exerciseId]);
+      },
+    },
+
+    profileSettings: {
+      async get(profileId) {
+        const db = await getDb();
+        return db.get(STORES.profileSettings, profileId);
+      },
+      // Read-modify-write in one transaction; `update` gets the current row
+      // (or undefined) and returns the row to store
+      async update(profileId, update) {
+        const db = await getDb();
+        const tx = db.transaction(STORES.profileSettings, 'readwrite');
+        const row = update(await tx.store.get(profileId));
+        await tx.store.put(row);
+        await tx.done;
+        return row;
+      },
+    },
+
+    pinAttempts: {
+      async get(profileId) {
+        const db = await getDb();
+        return db.get(STORES.pinAttempts, profileId);
+      },
+      async put(row) {
+        const db = await getDb();
+        await db.put(STORES.pinAttempts, row);
+      },
+      async delete(profileId) {
+        const db = await getDb();
+        await db.delete(STORES.pinAttempts, profileId);
+      },
+    },
+
+    snapshots: {
+      async list() {
+        const db = await getDb();
+        return db.getAll(STORES.snapshots);
+      },
+      async listByProfile(profileId) {
+        const db = await getDb();
+        return db.getAllFromIndex(STORES.snapshots, 'byProfileId', profileId);
+      },
+      async get(snapshotId) {
+        const db = await getDb();
+        return db.get(STORES.snapshots, snapshotId);
+      },
+      async add(row) {
+        const db = await getDb();
+        return db.add(STORES.snapshots, row);
+      },
+      async delete(snapshotId) {
+        const db = await getDb();
+        await db.delete(STORES.snapshots, snapshotId);
+      },
+      async reassign(fromProfileId, toProfileId) {
+        const db = await getDb();
+        const tx = db.transaction(STORES.snapshots, 'readwrite');
+        let cursor = await tx.store.index('byProfileId').openCursor(IDBKeyRange.only(fromProfileId));
+        while (cursor) {
+          await cursor.update({ ...cursor.value, profileId: toProfileId });
+          cursor = await cursor.continue();
+        }
+        await tx.done;
+      },
+    },
+  };
+}
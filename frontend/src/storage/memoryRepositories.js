@@ -0,0 +1,221 @@
+import { PROFILE_ROW_STORES, STORES } from './stores';
+
+// How rows of each per-profile store are keyed
+const ROW_KEYS = {
+  [STORES.progress]: (row) => `${row.profileId}\n${row.lessonId}`,
+  [STORES.quizResults]: (row) => row.id,
+  [STORES.quizDrafts]: (row) => `${row.profileId}\n${row.quizId}`,
+  [STORES.exerciseResults]: (row) => row.id,
+  [STORES.savedCode]: (row) => `${row.profileId}\n${row.exerciseId}`,
+};
+
+// Stores whose rows get an id when they have none, like autoIncrement
+const AUTO_ID_STORES = [STORES.quizResults, STORES.exerciseResults, STORES.snapshots];
+
+// Keeps profiles and everything they own in plain Maps for the life of the
+// page. Used when IndexedDB can't be opened (e.g. some private browsing
+// modes) and for running the app without a browser database. Rows are copied
+// in and out, like IndexedDB does, so callers can't mutate stored state.
+export function createMemoryRepositories() {
+  const profiles = new Map();
+  // store name -> Map of key -> row, for each store in PROFILE_ROW_STORES
+  const rows = Object.fromEntries(PROFILE_ROW_STORES.map((storeName) => [storeName, new Map()]));
+  // profileId -> row
+  const profileSettings = new Map();
+  // profileId -> row
+  const pinAttempts = new Map();
+  // id -> row
+  const snapshots = new Map();
+  // store name -> the next id to hand out
+  const nextIds = Object.fromEntries(AUTO_ID_STORES.map((storeName) => [storeName, 1]));
+
+  const copy = (value) => (value === undefined ? undefined : structuredClone(value));
+  const byProfile = (storeName, profileId) =>
+    [...rows[storeName].values()].filter((r) => r.profileId === profileId).map(copy);
+
+  // Copies the row, giving it an id first if its store hands them out
+  const withId = (storeName, row) => {
+    const stored = copy(row);
+    if (stored.id === undefined) stored.id = nextIds[storeName]++;
+    else nextIds[storeName] = Math.max(nextIds[storeName], stored.id + 1);
+    return stored;
+  };
+
+  // Inserts or overwrites; resolves to the row's key
+  const putRow = (storeName, row) => {
+    const stored = AUTO_ID_STORES.includes(storeName) ? withId(storeName, row) : copy(row);
+    const key = ROW_KEYS[storeName](stored);
+    rows[storeName].set(key, stored);
+    return key;
+  };
+
+  const putMissing = (storeName, newRows) => {
+    for (const row of newRows) {
+      if (!rows[storeName].has(ROW_KEYS[storeName](row))) putRow(storeName, row);
+    }
+  };
+
+  const deleteProfileRows = (profileId) => {
+    for (const storeName of PROFILE_ROW_STORES) {
+      for (const [key, row] of rows[storeName]) {
+        if (row.profileId === profileId) rows[storeName].delete(key);
+      }
+    }
+  };
+
+  return {
+    kind: 'memory',
+
+    profiles: {
+      async list() {
+        return [...profiles.values()].map(copy);
+      },
+      async get(profileId) {
+        return copy(profiles.get(profileId));
+      },
+      async put(profile) {
+        profiles.set(profile.profileId, copy(profile));
+      },
+      async delete(profileId) {
+        profiles.delete(profileId);
+        profileSettings.delete(profileId);
+        pinAttempts.delete(profileId);
+        deleteProfileRows(profileId);
+      },
+    },
+
+    profileData: {
+      async listRows(profileId) {
+        return Object.fromEntries(PROFILE_ROW_STORES.map((storeName) => [storeName, byProfile(storeName, profileId)]));
+      },
+      async write(profileId, { rows: newRows = {}, settings, updateProfile, clearExisting = false }) {
+        if (clearExisting) deleteProfileRows(profileId);
+        if (updateProfile) {
+          const profile = updateProfile(copy(profiles.get(profileId)));
+          if (profile) profiles.set(profileId, copy(profile));
+        }
+        if (settings) profileSettings.set(profileId, copy(settings));
+        for (const [storeName, storeRows] of Object.entries(newRows)) {
+          for (const row of storeRows) putRow(storeName, row);
+        }
+      },
+    },
+
+    progress: {
+      async listByProfile(profileId) {
+        return byProfile(STORES.progress, profileId);
+      },
+      async put(row) {
+        putRow(STORES.progress, row);
+      },
+    },
+
+    quizResults: {
+      async listByProfile(profileId) {
+        return byProfile(STORES.quizResults, profileId);
+      },
+      async listByProfileQuiz(profileId, quizId) {
+        return byProfile(STORES.quizResults, profileId).filter((r) => r.quizId === quizId);
+      },
+      async add(row) {
+        return putRow(STORES.quizResults, { ...row, id: undefined });
+      },
+    },
+
+    quizDrafts: {
+      async get(profileId, quizId) {
+        return copy(rows[STORES.quizDrafts].get(`${profileId}\n${quizId}`));
+      },
+      async listByProfile(profileId) {
+        return byProfile(STORES.quizDrafts, profileId);
+      },
+      async put(row) {
+        putRow(STORES.quizDrafts, row);
+      },
+      async putMissing(newRows) {
+        putMissing(STORES.quizDrafts, newRows);
+      },
+      async delete(profileId, quizId) {
+        rows[STORES.quizDrafts].delete(`${profileId}\n${quizId}`);
+      },
+    },
+
+    exerciseResults: {
+      async listByProfile(profileId) {
+        return byProfile(STORES.exerciseResults, profileId);
+      },
+      async listByProfileExercise(profileId, exerciseId) {
+        return byProfile(STORES.exerciseResults, profileId).filter((r) => r.exerciseId === exerciseId);
+      },
+      async add(row) {
+        return putRow(STORES.exerciseResults, { ...row, id: undefined });
+      },
+    },
+
+    savedCode: {
+      async get(profileId, exerciseId) {
+        return copy(rows[STORES.savedCode].get(`${profileId}\n${exerciseId}`));
+      },
+      async listByProfile(profileId) {
+        return byProfile(STORES.savedCode, profileId);
+      },
+      async put(row) {
+        putRow(STORES.savedCode, row);
+      },
+      async putMissing(newRows) {
+        putMissing(STORES.savedCode, newRows);
+      },
+      async delete(profileId, exerciseId) {
+        rows[STORES.savedCode].delete(`${profileId}\n${exerciseId}`);
+      },
+    },
+
+    profileSettings: {
+      async get(profileId) {
+        return copy(profileSettings.get(profileId));
+      },
+      async update(profileId, update) {
+        const row = update(copy(profileSettings.get(profileId)));
+        profileSettings.set(profileId, copy(row));
+        return copy(row);
+      },
+    },
+
+    pinAttempts: {
+      async get(profileId) {
+        return copy(pinAttempts.get(profileId));
+      },
+      async put(row) {
+        pinAttempts.set(row.profileId, copy(row));
+      },
+      async delete(profileId) {
+        pinAttempts.delete(profileId);
+      },
+    },
+
+    snapshots: {
+      async list() {
+        return [...snapshots.values()].map(copy);
+      },
+      async listByProfile(profileId) {
+        return [...snapshots.values()].filter((r) => r.profileId === profileId).map(copy);
+      },
+      async get(snapshotId) {
+        return copy(snapshots.get(snapshotId));
+      },
+      async add(row) {
+        const stored = withId(STORES.snapshots, { ...row, id: undefined });
+        snapshots.set(stored.id, stored);
+        return stored.id;
+      },
+      async delete(snapshotId) {
+        snapshots.delete(snapshotId);
+      },
+      async reassign(fromProfileId, toProfileId) {
+        for (const row of snapshots.values()) {
+          if (row.profileId === fromProfileId) row.profileId = toProfileId;
+        }
+      },
+    },
+  };
+}
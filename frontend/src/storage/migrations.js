@@ -0,0 +1,147 @@
+import { STORES } from './stores';
+
+// Ordered schema migrations. Each entry upgrades the database from
+// `version - 1` to `version` inside the versionchange transaction, so it can
+// create stores and indexes as well as read and rewrite existing rows.
+// Append new steps to the end; never edit or reorder a step that has shipped.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Profiles, progress and quiz results',
+    migrate(db) {
+      db.createObjectStore(STORES.profiles, { keyPath: 'profileId' });
+
+      const progress = db.createObjectStore(STORES.progress, {
+        keyPath: ['profileId', 'lessonId'],
+      });
+      progress.createIndex('byProfileId', 'profileId');
+
+      const quizResults = db.createObjectStore(STORES.quizResults, {
+        keyPath: 'id',
+        autoIncrement: true,
+      });
+      quizResults.createIndex('byProfileId', 'profileId');
+      quizResults.createIndex('byProfileQuizId', ['profileId', 'quizId']);
+    },
+  },
+  {
+    version: 2,
+    description: 'Exercise results',
+    migrate(db) {
+      const store = db.createObjectStore(STORES.exerciseResults, {
+        keyPath: 'id',
+        autoIncrement: true,
+      });
+      store.createIndex('byProfileId', 'profileId');
+      store.createIndex('byProfileExerciseId', ['profileId', 'exerciseId']);
+    },
+  },
+  {
+    version: 3,
+    description: 'Saved exercise code',
+    migrate(db) {
+      const store = db.createObjectStore(STORES.savedCode, {
+        keyPath: ['profileId', 'exerciseId'],
+      });
+      store.createIndex('byProfileId', 'profileId');
+    },
+  },
+  {
+    version: 4,
+    description: 'Quiz drafts',
+    migrate(db) {
+      const store = db.createObjectStore(STORES.quizDrafts, {
+        keyPath: ['profileId', 'quizId'],
+      });
+      store.createIndex('byProfileId', 'profileId');
+    },
+  },
+  {
+    version: 5,
+    description: 'Schema metadata',
+    migrate(db) {
+      db.createObjectStore(STORES.meta, { keyPath: 'key' });
+    },
+  },
+  {
+    version: 6,
+    description: 'Backfill missing quiz result percentages',
+    async migrate(db, tx) {
+      let cursor = await tx.objectStore(STORES.quizResults).openCursor();
+      while (cursor) {
+        const row = cursor.value;
+        if (row.percentage === undefined && row.totalQuestions) {
+          await cursor.update({
+            ...row,
+            percentage: Math.round((row.score / row.totalQuestions) * 100),
+          });
+        }
+        cursor = await cursor.continue();
+      }
+    },
+  },
+  {
+    version: 7,
+    description: 'Per-profile settings',
+    migrate(db) {
+      db.createObjectStore(STORES.profileSettings, { keyPath: 'profileId' });
+    },
+  },
+  {
+    version: 8,
+    description: 'Failed PIN attempts',
+    migrate(db) {
+      db.createObjectStore(STORES.pinAttempts, { keyPath: 'profileId' });
+    },
+  },
+  {
+    version: 9,
+    description: 'Profile snapshots',
+    migrate(db) {
+      const store = db.createObjectStore(STORES.snapshots, {
+        keyPath: 'id',
+        autoIncrement: true,
+      });
+      store.createIndex('byProfileId', 'profileId');
+    },
+  },
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Runs every step after `oldVersion` in order and records the result in the
+// meta store. If a step fails the versionchange transaction is aborted, so the
+// database stays at `oldVersion` and the upgrade is tried again on the next
+// open; otherwise it would commit at `newVersion` with the later steps missing.
+export async function runMigrations(db, oldVersion, newVersion, tx) {
+  const steps = MIGRATIONS.filter((m) => m.version > oldVersion && m.version <= newVersion);
+  try {
+    for (const step of steps) {
+      await step.migrate(db, tx);
+    }
+
+    if (db.objectStoreNames.contains(STORES.meta)) {
+      const meta = tx.objectStore(STORES.meta);
+      const previous = await meta.get('schema');
+      const appliedAt = new Date().toISOString();
+      await meta.put({
+        key: 'schema',
+        version: newVersion,
+        appliedAt,
+        history: [
+          ...(previous?.history || []),
+          ...steps.map((m) => ({ version: m.version, description: m.description, appliedAt })),
+        ],
+      });
+    }
+  } catch (e) {
+    // The failure is reported by rethrowing; tx.done rejecting is expected
+    tx.done.catch(() => {});
+    try {
+      tx.abort();
+    } catch {
+      // A failed request has already aborted it
+    }
+    throw e;
+  }
+}
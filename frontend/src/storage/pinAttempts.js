@@ -0,0 +1,52 @@
+import { verifyProfilePin } from './profiles';
+import { getRepositories } from './repositories';
+
+// A few free attempts for typos, then the wait doubles after every failure.
+// Failures are stored so reloading the page doesn't reset them.
+const FREE_ATTEMPTS = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 15 * 60 * 1000;
+
+function lockoutDelay(failures) {
+  if (failures < FREE_ATTEMPTS) return 0;
+  return Math.min(BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_MS);
+}
+
+// Returns { failures, retryAfterMs } for a profile (0 when it can be tried now).
+export async function getPinLockout(profileId) {
+  const row = await getRepositories().pinAttempts.get(profileId);
+  if (!row) return { failures: 0, retryAfterMs: 0 };
+  return { failures: row.failures, retryAfterMs: Math.max(0, (row.lockedUntil || 0) - Date.now()) };
+}
+
+// Checks a PIN subject to the back-off. Every place that asks for a PIN
+// should go through this rather than verifyProfilePin. Returns
+// { ok, retryAfterMs }; when locked out the PIN isn't checked at all.
+export async function attemptProfilePin(profileId, pin) {
+  const lockout = await getPinLockout(profileId);
+  if (lockout.retryAfterMs > 0) return { ok: false, retryAfterMs: lockout.retryAfterMs };
+
+  const ok = await verifyProfilePin(profileId, pin);
+  if (ok) {
+    await getRepositories().pinAttempts.delete(profileId);
+    return { ok: true, retryAfterMs: 0 };
+  }
+
+  const failures = lockout.failures + 1;
+  const delay = lockoutDelay(failures);
+  const now = Date.now();
+  await getRepositories().pinAttempts.put({
+    profileId,
+    failures,
+    lastFailureAt: new Date(now).toISOString(),
+    lockedUntil: now + delay,
+  });
+  return { ok: false, retryAfterMs: delay };
+}
+
+export function formatRetryAfter(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
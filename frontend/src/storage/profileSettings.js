@@ -0,0 +1,28 @@
+import { publishChange } from './events';
+import { getRepositories } from './repositories';
+
+// Preferences that belong to a profile (and travel with its export), as
+// opposed to device-level settings in settings.js.
+export const DEFAULT_PROFILE_SETTINGS = {
+  sidebarOpen: true,
+  // Return a PIN-protected profile to the unlock screen after this long
+  // without input; 0 turns auto-lock off.
+  idleLockMinutes: 15,
+};
+
+export const IDLE_LOCK_OPTIONS = [0, 1, 5, 10, 15, 30, 60];
+
+export async function getProfileSettings(profileId) {
+  const row = await getRepositories().profileSettings.get(profileId);
+  return { ...DEFAULT_PROFILE_SETTINGS, ...(row?.settings || {}) };
+}
+
+export async function updateProfileSettings(profileId, changes) {
+  const { settings } = await getRepositories().profileSettings.update(profileId, (row) => ({
+    profileId,
+    settings: { ...DEFAULT_PROFILE_SETTINGS, ...(row?.settings || {}), ...changes },
+    updatedAt: new Date().toISOString(),
+  }));
+  publishChange('settings', profileId);
+  return settings;
+}
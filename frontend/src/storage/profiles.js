@@ -1,5 +1,7 @@
-import { getDb, STORES } from './db';
+import { getRepositories } from './repositories';
 import { derivePinHashBase64, generateSaltBase64 } from './crypto';
+import { publishChange } from './events';
+import { lockProfileData, newDataSalt, reencryptProfileData } from './vault';
 
 function nowIso() {
   return new Date().toISOString();
@@ -11,14 +13,12 @@ function newId() {
 }
 
 export async function listProfiles() {
-  const db = await getDb();
-  const profiles = await db.getAll(STORES.profiles);
+  const profiles = await getRepositories().profiles.list();
   return profiles.sort((a, b) => (b.updatedAt || b.createdAt || '').localeCompare(a.updatedAt || a.createdAt || ''));
 }
 
 export async function getProfile(profileId) {
-  const db = await getDb();
-  return db.get(STORES.profiles, profileId);
+  return getRepositories().profiles.get(profileId);
 }
 
 export async function createProfile({ name, pin = null } = {}) {
@@ -29,9 +29,12 @@ export async function createProfile({ name, pin = null } = {}) {
 
   let pinSalt = null;
   let pinHash = null;
+  let dataSalt = null;
   if (pin) {
     pinSalt = generateSaltBase64();
     pinHash = await derivePinHashBase64(pin, pinSalt);
+    // New PIN profiles encrypt their data from the start (see vault.js)
+    dataSalt = newDataSalt();
   }
 
   const profile = {
@@ -41,53 +44,46 @@ export async function createProfile({ name, pin = null } = {}) {
     updatedAt: createdAt,
     pinSalt,
     pinHash,
+    dataSalt,
   };
 
-  const db = await getDb();
-  await db.put(STORES.profiles, profile);
+  await getRepositories().profiles.put(profile);
+  publishChange('profile', profileId);
   return profile;
 }
 
 export async function renameProfile(profileId, name) {
   if (!name || !String(name).trim()) throw new Error('Profile name is required');
 
-  const db = await getDb();
-  const profile = await db.get(STORES.profiles, profileId);
+  const profile = await getProfile(profileId);
   if (!profile) throw new Error('Profile not found');
 
   profile.name = String(name).trim();
   profile.updatedAt = nowIso();
-  await db.put(STORES.profiles, profile);
+  await getRepositories().profiles.put(profile);
+  publishChange('profile', profileId);
   return profile;
 }
 
+// Re-encrypts the profile's data under the new PIN, so it must be unlocked.
 export async function setProfilePin(profileId, pin) {
   if (!pin || String(pin).length < 4) throw new Error('PIN must be at least 4 characters');
 
-  const db = await getDb();
-  const profile = await db.get(STORES.profiles, profileId);
+  const profile = await getProfile(profileId);
   if (!profile) throw new Error('Profile not found');
 
   const pinSalt = generateSaltBase64();
   const pinHash = await derivePinHashBase64(pin, pinSalt);
 
-  profile.pinSalt = pinSalt;
-  profile.pinHash = pinHash;
-  profile.updatedAt = nowIso();
-  await db.put(STORES.profiles, profile);
-  return profile;
+  return reencryptProfileData({ ...profile, pinSalt, pinHash, updatedAt: nowIso() }, pin);
 }
 
+// Decrypts the profile's data, so it must be unlocked.
 export async function clearProfilePin(profileId) {
-  const db = await getDb();
-  const profile = await db.get(STORES.profiles, profileId);
+  const profile = await getProfile(profileId);
   if (!profile) throw new Error('Profile not found');
 
-  profile.pinSalt = null;
-  profile.pinHash = null;
-  profile.updatedAt = nowIso();
-  await db.put(STORES.profiles, profile);
-  return profile;
+  return reencryptProfileData({ ...profile, pinSalt: null, pinHash: null, updatedAt: nowIso() }, null);
 }
 
 export async function verifyProfilePin(profileId, pin) {
@@ -98,29 +94,9 @@ export async function verifyProfilePin(profileId, pin) {
   return hash === profile.pinHash;
 }
 
+// Removes the profile and all of its data.
 export async function deleteProfile(profileId) {
-  const db = await getDb();
-  const tx = db.transaction([STORES.profiles, STORES.progress, STORES.quizResults], 'readwrite');
-
-  await tx.objectStore(STORES.profiles).delete(profileId);
-
-  // Delete progress rows for this profile
-  const progressIdx = tx.objectStore(STORES.progress).index('byProfileId');
-  let cursor = await progressIdx.openCursor(IDBKeyRange.only(profileId));
-  while (cursor) {
-    await cursor.delete();
-    cursor = await cursor.continue();
-  }
-
-  // Delete quiz results rows for this profile
-  const quizIdx = tx.objectStore(STORES.quizResults).index('byProfileId');
-  cursor = await quizIdx.openCursor(IDBKeyRange.only(profileId));
-  while (cursor) {
-    await cursor.delete();
-    cursor = await cursor.continue();
-  }
-
-  await tx.done;
+  await getRepositories().profiles.delete(profileId);
+  lockProfileData(profileId);
+  publishChange('profileDeleted', profileId);
 }
-
-
@@ -1,12 +1,14 @@
-import { getDb, STORES } from './db';
+import { STORES } from './db';
+import { getRepositories } from './repositories';
+import { openRows, sealRow } from './vault';
+import { publishChange } from './events';
 
 function nowIso() {
   return new Date().toISOString();
 }
 
 export async function getProgressMap(profileId) {
-  const db = await getDb();
-  const rows = await db.getAllFromIndex(STORES.progress, 'byProfileId', profileId);
+  const rows = await openRows(profileId, await getRepositories().progress.listByProfile(profileId));
   const map = {};
   for (const r of rows) {
     map[r.lessonId] = {
@@ -18,23 +20,27 @@ export async function getProgressMap(profileId) {
 }
 
 export async function markLessonComplete(profileId, lessonId) {
-  const db = await getDb();
-  await db.put(STORES.progress, {
-    profileId,
-    lessonId,
-    completed: true,
-    completedAt: nowIso(),
-  });
+  await getRepositories().progress.put(
+    await sealRow(STORES.progress, {
+      profileId,
+      lessonId,
+      completed: true,
+      completedAt: nowIso(),
+    })
+  );
+  publishChange('progress', profileId);
 }
 
 export async function markLessonIncomplete(profileId, lessonId) {
-  const db = await getDb();
-  await db.put(STORES.progress, {
-    profileId,
-    lessonId,
-    completed: false,
-    completedAt: null,
-  });
+  await getRepositories().progress.put(
+    await sealRow(STORES.progress, {
+      profileId,
+      lessonId,
+      completed: false,
+      completedAt: null,
+    })
+  );
+  publishChange('progress', profileId);
 }
 
 
@@ -0,0 +1,73 @@
+import { STORES } from './db';
+import { openRow, sealRow, sealRows } from './vault';
+import { getRepositories } from './repositories';
+
+// Quiz state used to live in localStorage, shared by every profile on the machine
+const LEGACY_KEY_PREFIX = 'quiz-answers-';
+
+// Returns { answers, submitted, score } or null when the quiz hasn't been started.
+export async function getQuizDraft(profileId, quizId) {
+  const row = await openRow(await getRepositories().quizDrafts.get(profileId, quizId));
+  if (!row) return null;
+  return { answers: row.answers || {}, submitted: Boolean(row.submitted), score: row.score ?? null };
+}
+
+export async function saveQuizDraft(profileId, quizId, { answers, submitted, score }) {
+  await getRepositories().quizDrafts.put(
+    await sealRow(STORES.quizDrafts, {
+      profileId,
+      quizId,
+      answers,
+      submitted: Boolean(submitted),
+      score: score ?? null,
+      updatedAt: new Date().toISOString(),
+    })
+  );
+}
+
+export async function clearQuizDraft(profileId, quizId) {
+  await getRepositories().quizDrafts.delete(profileId, quizId);
+}
+
+// Moves any localStorage quiz state into the given profile (without
+// overwriting state it already has) and removes it from localStorage.
+// Like legacy code drafts, the first profile opened gets them.
+export async function migrateLegacyQuizDrafts(profileId) {
+  const legacy = [];
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(LEGACY_KEY_PREFIX)) {
+        legacy.push({ key, quizId: key.slice(LEGACY_KEY_PREFIX.length), raw: localStorage.getItem(key) });
+      }
+    }
+  } catch (e) {
+    console.error('Failed to read legacy quiz answers:', e);
+    return 0;
+  }
+  if (legacy.length === 0) return 0;
+
+  const drafts = [];
+  for (const { quizId, raw } of legacy) {
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      continue;
+    }
+    if (!parsed?.answers) continue;
+    drafts.push({
+      profileId,
+      quizId,
+      answers: parsed.answers,
+      submitted: Boolean(parsed.submitted),
+      score: parsed.score ?? null,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+  const rows = await sealRows(STORES.quizDrafts, profileId, drafts);
+  await getRepositories().quizDrafts.putMissing(rows);
+
+  for (const { key } of legacy) localStorage.removeItem(key);
+  return legacy.length;
+}
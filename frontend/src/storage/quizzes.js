@@ -1,30 +1,34 @@
-import { getDb, STORES } from './db';
+import { STORES } from './db';
+import { getRepositories } from './repositories';
+import { openRows, sealRow } from './vault';
+import { publishChange } from './events';
 
 function nowIso() {
   return new Date().toISOString();
 }
 
 export async function submitQuizResult(profileId, quizId, score, totalQuestions, answers) {
-  const db = await getDb();
   const completedAt = nowIso();
   const percentage = Math.round((score / totalQuestions) * 100);
 
-  const id = await db.add(STORES.quizResults, {
-    profileId,
-    quizId,
-    score,
-    totalQuestions,
-    answers,
-    completedAt,
-    percentage,
-  });
+  const id = await getRepositories().quizResults.add(
+    await sealRow(STORES.quizResults, {
+      profileId,
+      quizId,
+      score,
+      totalQuestions,
+      answers,
+      completedAt,
+      percentage,
+    })
+  );
+  publishChange('quizResults', profileId);
 
   return { id, completedAt, percentage };
 }
 
 export async function getBestQuizScores(profileId) {
-  const db = await getDb();
-  const rows = await db.getAllFromIndex(STORES.quizResults, 'byProfileId', profileId);
+  const rows = await openRows(profileId, await getRepositories().quizResults.listByProfile(profileId));
 
   const bestScores = {};
   for (const r of rows) {
@@ -45,14 +49,15 @@ export async function getBestQuizScores(profileId) {
 }
 
 export async function getAllQuizResults(profileId) {
-  const db = await getDb();
-  const rows = await db.getAllFromIndex(STORES.quizResults, 'byProfileId', profileId);
+  const rows = await openRows(profileId, await getRepositories().quizResults.listByProfile(profileId));
   return rows.sort((a, b) => (b.completedAt || '').localeCompare(a.completedAt || ''));
 }
 
 export async function getQuizResultsByQuizId(profileId, quizId) {
-  const db = await getDb();
-  const rows = await db.getAllFromIndex(STORES.quizResults, 'byProfileQuizId', [profileId, quizId]);
+  const rows = await openRows(
+    profileId,
+    await getRepositories().quizResults.listByProfileQuiz(profileId, quizId)
+  );
   return rows.sort((a, b) => (b.completedAt || '').localeCompare(a.completedAt || ''));
 }
 
@@ -0,0 +1,92 @@
+import { getDb } from './db';
+import { createIndexedDbRepositories } from './indexedDbRepositories';
+import { createMemoryRepositories } from './memoryRepositories';
+
+// Profiles and the data they own are read and written through a set of
+// repositories, so the app can run on a backend other than IndexedDB.
+// Every backend provides:
+//
+//   kind                                   'indexeddb' | 'memory'
+//   profiles.list()                        all profile records
+//   profiles.get(profileId)                one record, or undefined
+//   profiles.put(profile)                  create or overwrite
+//   profiles.delete(profileId)             the profile and everything it owns
+//                                          (but not its snapshots)
+//   profileData.listRows(profileId)        { [storeName]: rows } for every store
+//                                          in PROFILE_ROW_STORES (see stores.js)
+//   profileData.write(profileId, { rows, settings, updateProfile, clearExisting })
+//                                          all at once: optionally empties the
+//                                          profile's row stores, stores
+//                                          updateProfile(current profile) unless
+//                                          it returns nothing, the settings row
+//                                          and `rows` (keyed by store name;
+//                                          attempts without an id are added)
+//   progress.listByProfile(profileId)      progress rows
+//   progress.put(row)                      one row per { profileId, lessonId }
+//   quizResults.listByProfile(profileId)   every attempt
+//   quizResults.listByProfileQuiz(profileId, quizId)
+//   quizResults.add(row)                   appends an attempt; resolves to its id
+//   quizDrafts.get(profileId, quizId)      one draft, or undefined
+//   quizDrafts.listByProfile(profileId)
+//   quizDrafts.put(row) / .delete(profileId, quizId)
+//   quizDrafts.putMissing(rows)            stores those whose key isn't taken
+//   exerciseResults.listByProfile(profileId)
+//   exerciseResults.listByProfileExercise(profileId, exerciseId)
+//   exerciseResults.add(row)               appends a run; resolves to its id
+//   savedCode.get(profileId, exerciseId)   one draft, or undefined
+//   savedCode.listByProfile(profileId)
+//   savedCode.put(row) / .delete(profileId, exerciseId)
+//   savedCode.putMissing(rows)             stores those whose key isn't taken
+//   profileSettings.get(profileId)         the settings row, or undefined
+//   profileSettings.update(profileId, fn)  stores fn(current row); resolves to it
+//   pinAttempts.get(profileId)             the failed-attempt row, or undefined
+//   pinAttempts.put(row) / .delete(profileId)
+//   snapshots.list()                       every snapshot, including deleted profiles'
+//   snapshots.listByProfile(profileId)
+//   snapshots.get(snapshotId)              one snapshot, or undefined
+//   snapshots.add(row)                     resolves to its id
+//   snapshots.delete(snapshotId)
+//   snapshots.reassign(fromProfileId, toProfileId)  moves snapshots to another profile
+
+let repositories = null;
+let backend = { kind: 'indexeddb', error: null };
+
+// Picks the backend before anything is read. `preference` is 'auto' (use
+// IndexedDB, falling back to memory if it can't be opened), 'indexeddb' or
+// 'memory'. Returns { kind, error } as for getStorageBackend.
+export async function initStorage(preference = 'auto') {
+  if (preference === 'memory') {
+    repositories = createMemoryRepositories();
+    backend = { kind: 'memory', error: null };
+    return backend;
+  }
+
+  try {
+    await getDb();
+    repositories = createIndexedDbRepositories();
+    backend = { kind: 'indexeddb', error: null };
+  } catch (e) {
+    if (preference === 'indexeddb') throw e;
+    console.error('IndexedDB is unavailable; keeping data in memory:', e);
+    repositories = createMemoryRepositories();
+    backend = { kind: 'memory', error: e };
+  }
+  return backend;
+}
+
+// The backend in use: { kind, error } where `error` is why IndexedDB was
+// abandoned (null if it wasn't, or memory was chosen on purpose).
+export function getStorageBackend() {
+  return backend;
+}
+
+// False when data only lives as long as the page (the memory backend).
+export function isIndexedDbBackend() {
+  return backend.kind === 'indexeddb';
+}
+
+export function getRepositories() {
+  // Without initStorage (e.g. in scripts), default to IndexedDB
+  if (!repositories) repositories = createIndexedDbRepositories();
+  return repositories;
+}
@@ -0,0 +1,106 @@
+import { STORES } from './db';
+import { openRow, openRows, sealRow, sealRows } from './vault';
+import { getRepositories } from './repositories';
+
+// Drafts used to live in localStorage, shared by every profile on the machine
+const LEGACY_KEY_PREFIX = 'code-editor-';
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+export async function getSavedCode(profileId, exerciseId) {
+  const row = await openRow(await getRepositories().savedCode.get(profileId, exerciseId));
+  return row ? row.code : null;
+}
+
+// Writes for one exercise run one at a time, and while one is in flight only
+// the newest request is kept. Sealing a PIN profile's row is async, so
+// unordered writes on every keystroke could let an older draft land last.
+// `${profileId}\n${exerciseId}` -> { code, version, done }
+const writeQueues = new Map();
+
+async function writeCode(profileId, exerciseId, code) {
+  const repo = getRepositories().savedCode;
+  if (code === null) {
+    await repo.delete(profileId, exerciseId);
+    return;
+  }
+  await repo.put(
+    await sealRow(STORES.savedCode, {
+      profileId,
+      exerciseId,
+      code,
+      updatedAt: nowIso(),
+    })
+  );
+}
+
+// `code` null deletes the draft. Resolves once the newest request is written.
+function queueWrite(profileId, exerciseId, code) {
+  const key = `${profileId}\n${exerciseId}`;
+  const queued = writeQueues.get(key);
+  if (queued) {
+    queued.code = code;
+    queued.version++;
+    return queued.done;
+  }
+
+  const queue = { code, version: 0 };
+  writeQueues.set(key, queue);
+  queue.done = (async () => {
+    try {
+      let written = -1;
+      while (written !== queue.version) {
+        written = queue.version;
+        await writeCode(profileId, exerciseId, queue.code);
+      }
+    } finally {
+      writeQueues.delete(key);
+    }
+  })();
+  return queue.done;
+}
+
+export function saveCode(profileId, exerciseId, code) {
+  return queueWrite(profileId, exerciseId, code);
+}
+
+export function clearSavedCode(profileId, exerciseId) {
+  return queueWrite(profileId, exerciseId, null);
+}
+
+export async function getAllSavedCode(profileId) {
+  return openRows(profileId, await getRepositories().savedCode.listByProfile(profileId));
+}
+
+// Moves any localStorage drafts into the given profile (without overwriting
+// code it already has) and removes them from localStorage. Legacy drafts
+// can't be attributed to a profile, so the first profile opened gets them.
+export async function migrateLegacyCodeDrafts(profileId) {
+  const legacy = [];
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(LEGACY_KEY_PREFIX)) {
+        legacy.push({ key, exerciseId: key.slice(LEGACY_KEY_PREFIX.length), code: localStorage.getItem(key) });
+      }
+    }
+  } catch (e) {
+    console.error('Failed to read legacy code drafts:', e);
+    return 0;
+  }
+  if (legacy.length === 0) return 0;
+
+  const rows = await sealRows(
+    STORES.savedCode,
+    profileId,
+    legacy
+      .filter(({ code }) => code)
+      .map(({ exerciseId, code }) => ({ profileId, exerciseId, code, updatedAt: nowIso() }))
+  );
+  await getRepositories().savedCode.putMissing(rows);
+
+  for (const { key } of legacy) localStorage.removeItem(key);
+  return legacy.length;
+}
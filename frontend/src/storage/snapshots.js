@@ -0,0 +1,163 @@
+import { decryptJson, deriveAesKey, derivePinHashBase64, encryptJson } from './crypto';
+import { buildExport, exportProfileData, importProfileData } from './exportImport';
+import { setProfilePin } from './profiles';
+import { getRepositories } from './repositories';
+import { getProfileKey, isProfileUnlocked, openRowsWithKey, SEALED_STORES } from './vault';
+
+// Rolling copies of a profile, taken daily and before anything destructive
+// (import, restore, delete). Each snapshot holds the same v2 data as
+// exportProfileData and outlives the profile it was taken from.
+//
+// A PIN profile's snapshot is encrypted with the profile's data key at the
+// time, and keeps that PIN's salts in `lock` so it can still be opened with
+// the old PIN after the PIN changes or the profile is deleted. One taken while
+// the profile is locked (e.g. deleting it without the PIN) copies the stored
+// rows as they are, still encrypted, into `lockedRows`.
+
+export const SNAPSHOT_REASONS = {
+  daily: 'Daily',
+  import: 'Before import',
+  restore: 'Before restore',
+  delete: 'Before delete',
+  manual: 'Manual',
+};
+
+const DAILY_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const KEEP_DAILY = 7;
+const KEEP_OTHER = 10;
+
+function summarize(row) {
+  const { data, sealed, lock, lockedRows, ...meta } = row;
+  return { ...meta, encrypted: Boolean(sealed || lockedRows) };
+}
+
+// Newest first. Each entry is { id, profileId, profileName, reason, createdAt,
+// lessonCount, encrypted } (the data itself is only read on restore;
+// lessonCount is null for snapshots of a locked profile).
+export async function listSnapshots(profileId) {
+  const rows = await getRepositories().snapshots.listByProfile(profileId);
+  return rows.map(summarize).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Snapshots whose profile no longer exists on this device, newest first.
+export async function listOrphanedSnapshots() {
+  const repos = getRepositories();
+  const profileIds = new Set((await repos.profiles.list()).map((p) => p.profileId));
+  const rows = await repos.snapshots.list();
+  return rows
+    .filter((r) => !profileIds.has(r.profileId))
+    .map(summarize)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function pruneSnapshots(profileId) {
+  const rows = await listSnapshots(profileId);
+  const daily = rows.filter((r) => r.reason === 'daily').slice(KEEP_DAILY);
+  const other = rows.filter((r) => r.reason !== 'daily').slice(KEEP_OTHER);
+  for (const r of [...daily, ...other]) await getRepositories().snapshots.delete(r.id);
+}
+
+// Copies a locked PIN profile's stored rows without decrypting them
+async function takeLockedSnapshot(profile, reason) {
+  const repos = getRepositories();
+  const { profileId } = profile;
+  const storedRows = await repos.profileData.listRows(profileId);
+  const lockedRows = {};
+  for (const storeName of SEALED_STORES) lockedRows[storeName] = storedRows[storeName];
+  const settingsRow = await repos.profileSettings.get(profileId);
+  const row = {
+    profileId,
+    profileName: profile.name,
+    reason,
+    createdAt: new Date().toISOString(),
+    lessonCount: null,
+    lock: { pinSalt: profile.pinSalt, pinHash: profile.pinHash, dataSalt: profile.dataSalt },
+    lockedRows: {
+      profile: { profileId, name: profile.name, createdAt: profile.createdAt, updatedAt: profile.updatedAt },
+      settings: settingsRow?.settings || null,
+      rows: lockedRows,
+    },
+  };
+  const id = await repos.snapshots.add(row);
+  await pruneSnapshots(profileId);
+  return summarize({ ...row, id });
+}
+
+// Copies the profile's current data into a new snapshot. Returns the
+// snapshot's summary.
+export async function takeSnapshot(profileId, reason) {
+  const repos = getRepositories();
+  const profile = await repos.profiles.get(profileId);
+  if (!profile) throw new Error('Profile not found');
+  if (profile.dataSalt && !isProfileUnlocked(profileId)) return takeLockedSnapshot(profile, reason);
+
+  const data = await exportProfileData(profileId);
+  const key = await getProfileKey(profileId);
+  const row = {
+    profileId,
+    profileName: profile.name,
+    reason,
+    createdAt: new Date().toISOString(),
+    lessonCount: data.progress.filter((p) => p.completed).length,
+    lock: key ? { pinSalt: profile.pinSalt, pinHash: profile.pinHash, dataSalt: profile.dataSalt } : null,
+  };
+  if (key) row.sealed = await encryptJson(key, data);
+  else row.data = data;
+
+  const id = await repos.snapshots.add(row);
+  await pruneSnapshots(profileId);
+  return summarize({ ...row, id });
+}
+
+// Takes a 'daily' snapshot unless there is already one from the last 24 hours.
+export async function takeDailySnapshot(profileId) {
+  const latest = (await listSnapshots(profileId)).find((s) => s.reason === 'daily');
+  if (latest && Date.now() - Date.parse(latest.createdAt) < DAILY_INTERVAL_MS) return null;
+  return takeSnapshot(profileId, 'daily');
+}
+
+export async function deleteSnapshot(snapshotId) {
+  await getRepositories().snapshots.delete(snapshotId);
+}
+
+async function readSnapshotData(row, pin) {
+  if (!row.sealed && !row.lockedRows) return row.data;
+  if (!pin) throw new Error('This snapshot is encrypted; enter the PIN the profile had when it was taken');
+  const hash = await derivePinHashBase64(pin, row.lock.pinSalt);
+  if (hash !== row.lock.pinHash) throw new Error('Incorrect PIN for this snapshot');
+  const key = await deriveAesKey(pin, row.lock.dataSalt);
+  if (row.sealed) return decryptJson(key, row.sealed);
+
+  const { profile, settings, rows } = row.lockedRows;
+  const opened = {};
+  for (const [storeName, storeRows] of Object.entries(rows)) {
+    opened[storeName] = await openRowsWithKey(key, storeRows);
+  }
+  return buildExport(profile, settings, opened);
+}
+
+// Puts a snapshot back. If its profile still exists, that profile's data is
+// replaced (after snapshotting it, so the restore can be undone; a PIN profile
+// must be unlocked). Otherwise a new profile is created, protected with the
+// same PIN again for encrypted snapshots, and takes over the deleted profile's
+// snapshots. Returns the profile id.
+export async function restoreSnapshot(snapshotId, { pin = null } = {}) {
+  const repos = getRepositories();
+  const row = await repos.snapshots.get(snapshotId);
+  if (!row) throw new Error('Snapshot not found');
+
+  const data = await readSnapshotData(row, pin);
+  const existing = await repos.profiles.get(row.profileId);
+
+  if (existing) {
+    await takeSnapshot(row.profileId, 'restore');
+    return importProfileData(data, { strategy: 'replace', overwriteProfileId: row.profileId });
+  }
+
+  const profileId = await importProfileData(data, { strategy: 'new' });
+  if (row.lock) await setProfilePin(profileId, pin);
+
+  // The deleted profile's other snapshots now belong to the restored one
+  await repos.snapshots.reassign(row.profileId, profileId);
+  return profileId;
+}
@@ -0,0 +1,23 @@
+// Object store names. Kept apart from db.js so migrations can use them
+// without a circular import.
+export const STORES = {
+  profiles: 'profiles',
+  progress: 'progress',
+  quizResults: 'quizResults',
+  exerciseResults: 'exerciseResults',
+  savedCode: 'savedCode',
+  quizDrafts: 'quizDrafts',
+  meta: 'meta',
+  profileSettings: 'profileSettings',
+  pinAttempts: 'pinAttempts',
+  snapshots: 'snapshots',
+};
+
+// Stores holding rows that belong to a profile, each indexed byProfileId
+export const PROFILE_ROW_STORES = [
+  STORES.progress,
+  STORES.quizResults,
+  STORES.quizDrafts,
+  STORES.exerciseResults,
+  STORES.savedCode,
+];
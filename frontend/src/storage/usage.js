@@ -0,0 +1,93 @@
+import { STORES } from './db';
+import { getRepositories } from './repositories';
+
+// Stores with one or more rows per profile, and how to find them
+const PROFILE_STORES = [
+  { store: STORES.progress, label: 'Lesson progress' },
+  { store: STORES.quizResults, label: 'Quiz attempts' },
+  { store: STORES.quizDrafts, label: 'Quiz drafts' },
+  { store: STORES.exerciseResults, label: 'Exercise attempts' },
+  { store: STORES.savedCode, label: 'Saved code' },
+];
+
+function approxBytes(rows) {
+  return new Blob([JSON.stringify(rows)]).size;
+}
+
+// Row counts and approximate size (as JSON) of everything a profile owns.
+// Returns { sections: [{ store, label, count, bytes }], totalBytes }.
+export async function getProfileStorageUsage(profileId) {
+  const repos = getRepositories();
+  const rowsByStore = await repos.profileData.listRows(profileId);
+  const sections = PROFILE_STORES.map(({ store, label }) => {
+    const rows = rowsByStore[store] || [];
+    return { store, label, count: rows.length, bytes: approxBytes(rows) };
+  });
+
+  const profile = await repos.profiles.get(profileId);
+  const settings = await repos.profileSettings.get(profileId);
+  const totalBytes =
+    sections.reduce((sum, s) => sum + s.bytes, 0) + approxBytes([profile || null, settings || null]);
+
+  return { sections, totalBytes };
+}
+
+// What the browser reports for the whole app (all profiles, caches, the
+// service worker), or null where the Storage API isn't available.
+export async function estimateOriginStorage() {
+  if (!navigator.storage?.estimate) return null;
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage: usage ?? 0, quota: quota ?? 0 };
+  } catch (e) {
+    console.error('Failed to estimate storage:', e);
+    return null;
+  }
+}
+
+// Above this share of the quota the app warns that space is running out
+export const NEAR_QUOTA_RATIO = 0.8;
+
+// Asks the browser not to evict this app's data under storage pressure.
+// Returns whether storage is now persistent, or null if the API is missing.
+export async function requestPersistentStorage() {
+  if (!navigator.storage?.persist) return null;
+  try {
+    return await navigator.storage.persist();
+  } catch (e) {
+    console.error('Failed to request persistent storage:', e);
+    return null;
+  }
+}
+
+// Whether the browser may clear the app's data, and how close it is to the
+// quota: { persisted, usage, quota, nearQuota } (null where unknown).
+export async function getStorageHealth() {
+  let persisted = null;
+  if (navigator.storage?.persisted) {
+    try {
+      persisted = await navigator.storage.persisted();
+    } catch (e) {
+      console.error('Failed to check persistent storage:', e);
+    }
+  }
+  const origin = await estimateOriginStorage();
+  return {
+    persisted,
+    usage: origin?.usage ?? null,
+    quota: origin?.quota ?? null,
+    nearQuota: origin?.quota > 0 && origin.usage / origin.quota >= NEAR_QUOTA_RATIO,
+  };
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value < 10 ? value.toFixed(1) : Math.round(value)} ${units[unit]}`;
+}
@@ -0,0 +1,172 @@
+import { STORES } from './db';
+import { decryptJson, deriveAesKey, encryptJson, generateSaltBase64 } from './crypto';
+import { publishChange, subscribeChanges } from './events';
+import { getRepositories } from './repositories';
+
+// At-rest encryption for PIN-protected profiles. Each one has a `dataSalt`;
+// the AES-GCM key is derived from the PIN and that salt when the profile is
+// unlocked and kept in memory until it is locked again.
+//
+// Rows keep their key and index fields in the clear (IndexedDB needs them) and
+// everything else moves into `sealed: { iv, ciphertext }`. Plain profiles'
+// rows are stored as before, and reading a sealed row while the profile is
+// locked throws.
+
+// Fields each store needs unencrypted: its keyPath and indexed fields
+const CLEAR_FIELDS = {
+  [STORES.progress]: ['profileId', 'lessonId'],
+  [STORES.quizResults]: ['id', 'profileId', 'quizId'],
+  [STORES.quizDrafts]: ['profileId', 'quizId'],
+  [STORES.exerciseResults]: ['id', 'profileId', 'exerciseId'],
+  [STORES.savedCode]: ['profileId', 'exerciseId'],
+};
+
+export const SEALED_STORES = Object.keys(CLEAR_FIELDS);
+
+// profileId -> CryptoKey, or null for profiles without encryption
+const keys = new Map();
+// profileId -> the dataSalt each cached key belongs to
+const keySalts = new Map();
+
+function rememberKey(profileId, key, dataSalt) {
+  keys.set(profileId, key);
+  keySalts.set(profileId, dataSalt || null);
+}
+
+// The profile's data key: null for profiles without encryption; throws if
+// the profile is encrypted but locked.
+export async function getProfileKey(profileId) {
+  if (keys.has(profileId)) return keys.get(profileId);
+
+  const profile = await getRepositories().profiles.get(profileId);
+  if (profile?.dataSalt) throw new Error('Profile is locked');
+  rememberKey(profileId, null, null);
+  return null;
+}
+
+export function newDataSalt() {
+  return generateSaltBase64();
+}
+
+async function sealWith(key, storeName, row) {
+  if (!key) return row;
+  const clear = {};
+  const secret = {};
+  for (const [field, value] of Object.entries(row)) {
+    if (CLEAR_FIELDS[storeName].includes(field)) clear[field] = value;
+    else secret[field] = value;
+  }
+  return { ...clear, sealed: await encryptJson(key, secret) };
+}
+
+async function openWith(key, row) {
+  if (!row?.sealed) return row;
+  if (!key) throw new Error('Profile is locked');
+  const { sealed, ...clear } = row;
+  return { ...clear, ...(await decryptJson(key, sealed)) };
+}
+
+// Encrypts a row for writing if its profile uses encryption.
+export async function sealRow(storeName, row) {
+  return sealWith(await getProfileKey(row.profileId), storeName, row);
+}
+
+export async function sealRows(storeName, profileId, rows) {
+  const key = await getProfileKey(profileId);
+  return Promise.all(rows.map((row) => sealWith(key, storeName, row)));
+}
+
+// Decrypts a row read from storage (plain rows pass through).
+export async function openRow(row) {
+  if (!row?.sealed) return row;
+  return openWith(await getProfileKey(row.profileId), row);
+}
+
+export async function openRows(profileId, rows) {
+  if (!rows.some((row) => row.sealed)) return rows;
+  const key = await getProfileKey(profileId);
+  return Promise.all(rows.map((row) => openWith(key, row)));
+}
+
+// Decrypts rows with a key derived elsewhere, e.g. for a copy of a profile's
+// rows taken while it was locked.
+export async function openRowsWithKey(key, rows) {
+  return Promise.all(rows.map((row) => openWith(key, row)));
+}
+
+export function isProfileUnlocked(profileId) {
+  return keys.has(profileId);
+}
+
+// Forgets the profile's key, e.g. on switching profiles or idle lock.
+export function lockProfileData(profileId) {
+  keys.delete(profileId);
+  keySalts.delete(profileId);
+}
+
+// Drops the cached key if the profile was re-keyed or deleted in another tab
+// (its PIN set, changed or removed). Returns whether the profile is still unlocked.
+export async function refreshProfileKey(profileId) {
+  if (!keys.has(profileId)) return false;
+  const profile = await getRepositories().profiles.get(profileId);
+  if (!profile || (profile.dataSalt || null) !== keySalts.get(profileId)) lockProfileData(profileId);
+  return keys.has(profileId);
+}
+
+subscribeChanges((change) => {
+  if (change.type === 'profile' || change.type === 'profileDeleted') {
+    refreshProfileKey(change.profileId).catch((e) => console.error('Failed to refresh profile key:', e));
+  }
+});
+
+// Rewrites every sealed-store row of a profile from one key to another
+// (either may be null for plaintext) and saves `profile` in the same write.
+// Rows are read and transformed first because WebCrypto calls can't happen
+// inside an IndexedDB transaction.
+async function rekeyProfileData(profile, fromKey, toKey) {
+  const repos = getRepositories();
+  const stored = await repos.profileData.listRows(profile.profileId);
+  const rewritten = {};
+  for (const storeName of SEALED_STORES) {
+    const plain = await Promise.all(stored[storeName].map((row) => openWith(fromKey, row)));
+    rewritten[storeName] = await Promise.all(plain.map((row) => sealWith(toKey, storeName, row)));
+  }
+
+  await repos.profileData.write(profile.profileId, { rows: rewritten, updateProfile: () => profile });
+  // Other tabs holding the old key must lock (or drop it, if the PIN was removed)
+  publishChange('profile', profile.profileId);
+}
+
+// Called after the PIN has been verified. Caches the key, and encrypts the
+// data of PIN profiles created before encryption existed.
+export async function unlockProfileData(profileId, pin) {
+  const profile = await getRepositories().profiles.get(profileId);
+  if (!profile) throw new Error('Profile not found');
+  if (!profile.pinHash) {
+    rememberKey(profileId, null, null);
+    return;
+  }
+
+  if (profile.dataSalt) {
+    rememberKey(profileId, await deriveAesKey(pin, profile.dataSalt), profile.dataSalt);
+    return;
+  }
+
+  const dataSalt = newDataSalt();
+  const key = await deriveAesKey(pin, dataSalt);
+  await rekeyProfileData({ ...profile, dataSalt }, null, key);
+  rememberKey(profileId, key, dataSalt);
+}
+
+// Re-encrypts a profile's data for a new PIN (or decrypts it when `pin` is
+// null) and saves `profile` with the matching `dataSalt`. The profile must be
+// unlocked. Returns the saved profile.
+export async function reencryptProfileData(profile, pin) {
+  const fromKey = await getProfileKey(profile.profileId);
+  const dataSalt = pin ? newDataSalt() : null;
+  const toKey = pin ? await deriveAesKey(pin, dataSalt) : null;
+  const updated = { ...profile, dataSalt };
+  await rekeyProfileData(updated, fromKey, toKey);
+  rememberKey(profile.profileId, toKey, dataSalt);
+  return updated;
+}
@@ -0,0 +1,18 @@
+// Saves `obj` as a pretty-printed JSON file through a temporary link.
+export function downloadJson(filename, obj) {
+  const blob = new Blob([JSON.stringify(obj, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// File name for a profile export, e.g. eda_Jon.json or eda_Jon.encrypted.json
+export function exportFileName(profileName, encrypted = false) {
+  const safeName = (profileName || 'profile').replace(/[^\w\-]+/g, '_');
+  return `eda_${safeName}${encrypted ? '.encrypted' : ''}.json`;
+}
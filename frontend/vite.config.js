@@ -1,12 +1,18 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import { VitePWA } from 'vite-plugin-pwa';
+import { COURSE_MANIFEST_FILE } from './src/content/courseManifest.js';
+import { courseContent } from './scripts/course-content.js';
 
 export default defineConfig({
   plugins: [
     react(),
+    // Lessons are Markdown; this also fails the build on invalid content and
+    // emits course-manifest.json
+    courseContent(),
     VitePWA({
-      registerType: 'autoUpdate',
+      // New versions wait for the learner to accept them (see UpdatePrompt)
+      registerType: 'prompt',
       includeAssets: ['favicon.svg', 'icons/*.svg'],
       manifest: {
         name: 'Engineer Development App',
@@ -36,31 +42,13 @@ export default defineConfig({
         ]
       },
       workbox: {
-        globPatterns: ['**/*.{js,css,html,ico,png,svg,json}'],
-        runtimeCaching: [
-          {
-            urlPattern: /^https:\/\/fonts\.googleapis\.com\/.*/i,
-            handler: 'CacheFirst',
-            options: {
-              cacheName: 'google-fonts-cache',
-              expiration: {
-                maxEntries: 10,
-                maxAgeSeconds: 60 * 60 * 24 * 365
-              }
-            }
-          },
-          {
-            urlPattern: /^https:\/\/fonts\.gstatic\.com\/.*/i,
-            handler: 'CacheFirst',
-            options: {
-              cacheName: 'gstatic-fonts-cache',
-              expiration: {
-                maxEntries: 10,
-                maxAgeSeconds: 60 * 60 * 24 * 365
-              }
-            }
-          }
-        ]
+        // Fonts and Monaco (including its workers) are bundled, so precaching
+        // the build is enough for a first launch offline
+        globPatterns: ['**/*.{js,css,html,ico,png,svg,json,woff2,ttf}'],
+        // The TypeScript worker that powers the editor's JS support is several MB
+        maximumFileSizeToCacheInBytes: 10 * 1024 * 1024,
+        // Always fetched from the network, to compare against the running version
+        globIgnores: [COURSE_MANIFEST_FILE]
       }
     })
   ],